@@ -5,25 +5,74 @@
 'use strict';
 
 // ─── Data Model ───────────────────────────────────────────
-const STORAGE_KEY = 'simpleBudgetData';
-const CURRENT_YEAR = () => new Date().getFullYear();
-const CURRENT_MONTH_KEY = () => {
-  const d = new Date();
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+const STORAGE_KEY = 'simpleBudgetData';          // legacy localStorage blob, also the fallback store
+const BACKUP_KEY = 'simpleBudgetData.backup';   // raw copy kept before a migration or repair
+const PROFILES_KEY = 'simpleBudgetProfiles';    // profile list and which one is open
+const DEFAULT_PROFILE_ID = 'default';           // uses the original database and keys
+const DB_NAME = 'simpleBudget';
+const DB_VERSION = 2;          // 2: attachments store
+const UNDO_LIMIT = 50;          // operations kept in the undo history
+const SEARCH_RESULT_LIMIT = 200; // rows rendered; totals still cover every match
+const ALERT_LOG_LIMIT = 100;    // newest budget alerts kept in data.alertLog
+const NO_ACCOUNT_LABEL = 'No account';
+const NO_GOAL_LABEL = 'Savings';            // contributions whose goal was deleted
+const LOCALES = {
+  'en-US': 'English (US)', 'en-GB': 'English (UK)', 'en-CA': 'English (Canada)',
+  'en-AU': 'English (Australia)', 'en-IN': 'English (India)', 'de-DE': 'Deutsch',
+  'fr-FR': 'Français', 'es-ES': 'Español', 'it-IT': 'Italiano', 'nl-NL': 'Nederlands',
+  'pt-BR': 'Português (Brasil)', 'sv-SE': 'Svenska', 'pl-PL': 'Polski', 'ja-JP': '日本語', 'zh-CN': '中文'
 };
+const QUICK_AMOUNTS = [5, 10, 20, 50, 100];
 
-function emptyData() {
-  return {
-    version: 1,
-    settings: {
-      annualBudget: 0
-    },
-    currentMonth: CURRENT_MONTH_KEY(),
-    transactions: [],      // current month
-    history: {}            // { "YYYY-MM": { goal, transactions[] } }
-  };
+// ─── Budget Engine ────────────────────────────────────────
+// The data model, schema, migrations and budget math live in budget.js, which
+// has no DOM access and is shared with the command-line tool (cli.js). Engine
+// functions that work on budget data take it as their first argument; the
+// ones below are bound to the open profile's data so the rest of this file
+// can call them as before.
+const {
+  DATA_VERSION, UNCATEGORIZED_LABEL, PERIOD_MODES, RECURRING_SCHEDULES,
+  emptyData, newCategory, generateId, normalizeData, transactionListsOf, isValidDateKey, validateData,
+  isCurrencyCode, parseAlertThresholds, sameTransaction,
+  isTransfer, isContribution, isBudgetTransaction, budgetTransactions, calcSaved, txParts, accountChange,
+  calcMonthTotals, isWithinGoal, calcCategoryNet, recurringDatesBetween, updateRecurring,
+  toDateKey, parseDateKey, nextMonthKey, addDays
+} = BudgetEngine;
+
+/** An engine function with the open profile's data as its first argument. */
+function withData(fn) {
+  return (...args) => fn(data, ...args);
 }
 
+const findCategory = withData(BudgetEngine.findCategory);
+const getCategoryName = withData(BudgetEngine.getCategoryName);
+const forEachTransaction = withData(BudgetEngine.forEachTransaction);
+const addTransactionToBucket = withData(BudgetEngine.addTransactionToBucket);
+const removeTransactionFromBucket = withData(BudgetEngine.removeTransactionFromBucket);
+const budgetYearOf = withData(BudgetEngine.budgetYearOf);
+const budgetMonthIndex = withData(BudgetEngine.budgetMonthIndex);
+const calcMonthsRemainingInYear = withData(BudgetEngine.calcMonthsRemainingInYear);
+const priorMonthKeysThisYear = withData(BudgetEngine.priorMonthKeysThisYear);
+const calcPriorMonthsNetThisYear = withData(BudgetEngine.calcPriorMonthsNetThisYear);
+const calcCarryOver = withData(BudgetEngine.calcCarryOver);
+const calcAnnualBudget = withData(BudgetEngine.calcAnnualBudget);
+const calcDynamicMonthlyGoal = withData(BudgetEngine.calcDynamicMonthlyGoal);
+const calcRemainingAnnual = withData(BudgetEngine.calcRemainingAnnual);
+const calcMonthlyRemaining = withData(BudgetEngine.calcMonthlyRemaining);
+const calcMonthSpent = withData(BudgetEngine.calcMonthSpent);
+const calcMonthIncome = withData(BudgetEngine.calcMonthIncome);
+const calcMonthSaved = withData(BudgetEngine.calcMonthSaved);
+const calcCategoryBreakdown = withData(BudgetEngine.calcCategoryBreakdown);
+const calcMonthSummaries = withData(BudgetEngine.calcMonthSummaries);
+const pruneOldHistory = withData(BudgetEngine.pruneOldHistory);
+const isMonthRetained = withData(BudgetEngine.isMonthRetained);
+const periodContaining = withData(BudgetEngine.periodContaining);
+const currentPeriod = withData(BudgetEngine.currentPeriod);
+const periodsInBudgetYear = withData(BudgetEngine.periodsInBudgetYear);
+const calcPeriodNet = withData(BudgetEngine.calcPeriodNet);
+const calcPeriodGoal = withData(BudgetEngine.calcPeriodGoal);
+const periodTransactions = withData(BudgetEngine.periodTransactions);
+
 // ─── State ────────────────────────────────────────────────
 let data = emptyData();
 let isIncomeMode = false;
@@ -31,158 +80,975 @@ let toastTimer = null;
 let editingTxId = null;     // id of transaction being edited
 let editingTxMonth = null;  // null = current month, else 'YYYY-MM' history key
 let editIsIncome = false;
+let editSplits = null;       // [{ amount, category, description }] while splitting in the edit sheet
+const sheetPhotos = {};       // sheet ('edit' | 'transfer' | 'contribution') → undefined = unchanged, null = remove, Blob = new photo
+const sheetPhotoIds = {};     // sheet → id of the transaction whose photo it shows, null for a new one
+let editingRecurringId = null;  // null = new recurring item
+let recurringIsIncome = false;
+let csvImport = null;           // { fileName, rows[][], preview[], selected: Set }
+let pendingImport = null;       // { fileName, imported, issues[], plan, mode: 'merge' | 'replace' }
+let undoStack = [];             // operations this session, oldest first (see Undo / Redo)
+let redoStack = [];
 
 // ─── Persistence ──────────────────────────────────────────
-function loadData() {
+// Data lives in IndexedDB: one record per transaction in the "transactions"
+// store (tagged with its month bucket) and everything else as a single "state"
+// record in the "meta" store. The in-memory `data` object stays the source of
+// truth; saveData() diffs it against what was last written and only puts or
+// deletes the records that changed. Browsers without IndexedDB fall back to
+// the original single localStorage blob.
+let profiles = { active: DEFAULT_PROFILE_ID, list: [{ id: DEFAULT_PROFILE_ID, name: 'My Budget' }] };
+let db = null;                 // IDBDatabase, or null when using localStorage
+let persistedTx = new Map();   // id → serialized record as last written
+let persistedMeta = null;      // serialized meta record as last written (null = full rewrite)
+let loadError = null;          // { message, raw } when stored data couldn't be opened – nothing is saved
+let saveScheduled = false;
+
+// Each profile has its own database (and its own fallback localStorage key);
+// the default profile keeps the original names so existing data stays put.
+function dbNameFor(profileId) {
+  return profileId === DEFAULT_PROFILE_ID ? DB_NAME : `${DB_NAME}-${profileId}`;
+}
+
+function storageKeyFor(profileId) {
+  return profileId === DEFAULT_PROFILE_ID ? STORAGE_KEY : `${STORAGE_KEY}.${profileId}`;
+}
+
+function backupKeyFor(profileId) {
+  return profileId === DEFAULT_PROFILE_ID ? BACKUP_KEY : `${storageKeyFor(profileId)}.backup`;
+}
+
+function openDatabase(name = dbNameFor(profiles.active)) {
+  return new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) {
+      reject(new Error('IndexedDB not supported'));
+      return;
+    }
+    const req = indexedDB.open(name, DB_VERSION);
+    req.onupgradeneeded = (event) => {
+      const idb = req.result;
+      if (event.oldVersion < 1) {
+        idb.createObjectStore('meta');
+        idb.createObjectStore('transactions', { keyPath: 'id' }).createIndex('bucket', 'bucket');
+      }
+      if (event.oldVersion < 2) {
+        idb.createObjectStore('attachments', { keyPath: 'id' });   // receipt photos, see Attachments
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbTransactionDone(t) {
+  return new Promise((resolve, reject) => {
+    t.oncomplete = () => resolve();
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error || new Error('Transaction aborted'));
+  });
+}
+
+/** Everything except transactions; history months keep only their goal. */
+function metaRecord(d) {
+  const meta = Object.assign({}, d, { transactions: undefined, history: {} });
+  delete meta.transactions;
+  Object.keys(d.history).forEach(key => { meta.history[key] = { goal: d.history[key].goal }; });
+  return meta;
+}
+
+/** Serialized per-transaction records for the whole data object, keyed by id. */
+function transactionRecords(d) {
+  const records = new Map();
+  const add = (bucket, tx) => records.set(tx.id, JSON.stringify({ id: tx.id, bucket, tx }));
+  d.transactions.forEach(tx => add('current', tx));
+  Object.keys(d.history).forEach(key => {
+    (d.history[key].transactions || []).forEach(tx => add(key, tx));
+  });
+  return records;
+}
+
+/** Rebuild the data object from the meta record and transaction records,
+ *  or null if nothing has been stored yet. */
+async function readDatabase(idb = db) {
+  const t = idb.transaction(['meta', 'transactions'], 'readonly');
+  const [meta, records] = await Promise.all([
+    idbRequest(t.objectStore('meta').get('state')),
+    idbRequest(t.objectStore('transactions').getAll())
+  ]);
+  if (!meta) return null;
+
+  const assembled = Object.assign({}, meta, { transactions: [], history: {} });
+  Object.keys(meta.history || {}).forEach(key => {
+    assembled.history[key] = { goal: meta.history[key].goal, transactions: [] };
+  });
+  records.forEach(r => {
+    if (r.bucket === 'current') {
+      assembled.transactions.push(r.tx);
+    } else {
+      if (!assembled.history[r.bucket]) assembled.history[r.bucket] = { goal: 0, transactions: [] };
+      assembled.history[r.bucket].transactions.push(r.tx);
+    }
+  });
+
+  // Records come back in id order – restore newest-first
+  const newestFirst = (a, b) => b.date.localeCompare(a.date) || (b.time || '').localeCompare(a.time || '');
+  assembled.transactions.sort(newestFirst);
+  Object.keys(assembled.history).forEach(key => assembled.history[key].transactions.sort(newestFirst));
+  return assembled;
+}
+
+/** Write only what changed since the last flush. Returns true on success. */
+async function flushToDatabase() {
+  saveScheduled = false;
+  if (loadError) return false;
+  const records = transactionRecords(data);
+  const meta = JSON.stringify(metaRecord(data));
+  const fullSync = persistedMeta === null;
+
+  try {
+    const t = db.transaction(['meta', 'transactions'], 'readwrite');
+    const store = t.objectStore('transactions');
+    if (fullSync) store.clear();
+    records.forEach((json, id) => {
+      if (fullSync || persistedTx.get(id) !== json) store.put(JSON.parse(json));
+    });
+    if (!fullSync) {
+      persistedTx.forEach((_, id) => { if (!records.has(id)) store.delete(id); });
+    }
+    if (fullSync || meta !== persistedMeta) t.objectStore('meta').put(JSON.parse(meta), 'state');
+
+    // Record as written before awaiting so overlapping flushes diff against the newest state
+    persistedTx = records;
+    persistedMeta = meta;
+    await idbTransactionDone(t);
+    return true;
+  } catch (e) {
+    console.warn('Failed to save data:', e);
+    persistedMeta = null;   // next flush rewrites everything
+    showToast('Storage error – data may not be saved');
+    return false;
+  }
+}
+
+/** Keep the untouched original before persisting an upgraded or repaired copy. */
+function saveBackup(raw) {
+  try {
+    if (db) {
+      db.transaction('meta', 'readwrite').objectStore('meta')
+        .put({ savedAt: new Date().toISOString(), data: raw }, 'backup');
+    } else {
+      localStorage.setItem(backupKeyFor(profiles.active), typeof raw === 'string' ? raw : JSON.stringify(raw));
+    }
+  } catch (e) {
+    console.warn('Failed to save backup:', e);
+  }
+}
+
+/** Migrate and validate a stored object, then make it the app's data. */
+function adoptStoredData(stored) {
+  const result = normalizeData(stored);
+  data = result.data;
+
+  if (result.migratedFrom !== DATA_VERSION || result.issues.length > 0) {
+    saveBackup(stored);
+    saveData();
+  }
+  if (result.issues.length > 0) {
+    console.warn('Repaired stored data:', result.issues);
+    showToast(`Fixed ${result.issues.length} invalid record${result.issues.length !== 1 ? 's' : ''} – backup kept`);
+  }
+}
+
+async function loadData() {
+  data = emptyData();
+  persistedTx = new Map();
+  persistedMeta = null;
+  loadError = null;
+  try {
+    db = await openDatabase();
+  } catch (e) {
+    console.warn('IndexedDB unavailable, using localStorage:', e);
+    db = null;
+    loadFromLocalStorage();
+    return;
+  }
+
+  attachmentIds = new Set();
+  let stored = null;
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (raw) {
-      const parsed = JSON.parse(raw);
-      data = Object.assign(emptyData(), parsed);
-      if (!data.settings) data.settings = emptyData().settings;
-      if (!data.history) data.history = {};
-      if (!Array.isArray(data.transactions)) data.transactions = [];
+    attachmentIds = new Set(await idbRequest(db.transaction('attachments').objectStore('attachments').getAllKeys()));
+    stored = await readDatabase();
+    if (stored) {
+      persistedTx = transactionRecords(stored);
+      persistedMeta = JSON.stringify(metaRecord(stored));
+      adoptStoredData(stored);
+    } else {
+      await migrateFromLocalStorage();
     }
   } catch (e) {
     console.warn('Failed to load data:', e);
-    data = emptyData();
+    blockSaving(e, stored);
+  }
+}
+
+/** One-time move of the old localStorage blob into IndexedDB. The blob is only
+ *  removed once the database write has completed. */
+async function migrateFromLocalStorage() {
+  const raw = localStorage.getItem(storageKeyFor(profiles.active));
+  if (!raw) return;
+
+  adoptStoredData(JSON.parse(raw));
+  persistedMeta = null;
+  if (await flushToDatabase()) {
+    saveBackup(raw);
+    localStorage.removeItem(storageKeyFor(profiles.active));
+    localStorage.removeItem(backupKeyFor(profiles.active));
+  }
+}
+
+function loadFromLocalStorage() {
+  let raw = null;
+  try {
+    raw = localStorage.getItem(storageKeyFor(profiles.active));
+    if (raw) adoptStoredData(JSON.parse(raw));
+  } catch (e) {
+    console.warn('Failed to load data:', e);
+    blockSaving(e, raw);
   }
 }
 
+/** Stored data that can't be opened (e.g. written by a newer version) must not
+ *  be overwritten by an empty budget: saving stays off and the error blocks the
+ *  app until a reload opens it. raw: what was read, offered as a download. */
+function blockSaving(error, raw) {
+  data = emptyData();
+  loadError = { message: error.message, raw };
+  document.getElementById('loadErrorMessage').textContent =
+    `Your saved budget couldn't be read (${error.message}). Nothing has been changed or deleted, ` +
+    'and the app won\'t save anything until it opens correctly. If you have used a newer version ' +
+    'of SimpleBudget, tap Reload to update.';
+  document.getElementById('loadErrorCopyBtn').style.display = raw ? '' : 'none';
+  document.getElementById('loadErrorOverlay').classList.add('open');
+}
+
+/** Download the unreadable data exactly as stored. */
+function downloadStoredData() {
+  if (!loadError || !loadError.raw) return;
+  const json = typeof loadError.raw === 'string' ? loadError.raw : JSON.stringify(loadError.raw, null, 2);
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `SimpleBudget-stored-${new Date().toISOString().split('T')[0]}.json`;
+  document.body.appendChild(a);
+  a.click();
+  setTimeout(() => { document.body.removeChild(a); URL.revokeObjectURL(url); }, 100);
+}
+
+/** Persist after a change. Several calls in the same tick are written once. */
 function saveData() {
+  if (loadError) return;
+  if (!db) {
+    try {
+      localStorage.setItem(storageKeyFor(profiles.active), JSON.stringify(data));
+    } catch (e) {
+      console.warn('Failed to save data:', e);
+      showToast('Storage error – data may not be saved');
+    }
+    return;
+  }
+  if (saveScheduled) return;
+  saveScheduled = true;
+  Promise.resolve().then(flushToDatabase);
+}
+
+// ─── Profiles ─────────────────────────────────────────────
+// Separate budgets on one device. Only the small profile list lives in
+// localStorage; each profile's data is a database of its own.
+function loadProfiles() {
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    const stored = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    if (stored && Array.isArray(stored.list) && stored.list.length > 0) {
+      profiles.list = stored.list.filter(p => p && typeof p.id === 'string' && typeof p.name === 'string');
+      profiles.active = profiles.list.some(p => p.id === stored.active) ? stored.active : profiles.list[0].id;
+    }
   } catch (e) {
-    console.warn('Failed to save data:', e);
-    showToast('Storage error – data may not be saved');
+    console.warn('Failed to load profiles:', e);
   }
 }
 
-// ─── Monthly Reset ────────────────────────────────────────
-function checkMonthlyReset() {
-  const currentKey = CURRENT_MONTH_KEY();
-  if (data.currentMonth === currentKey) return;
+function saveProfiles() {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+  } catch (e) {
+    console.warn('Failed to save profiles:', e);
+  }
+}
+
+function activeProfile() {
+  return profiles.list.find(p => p.id === profiles.active);
+}
+
+/** Write anything pending and let go of the open database. */
+async function closeActiveProfile() {
+  if (saveScheduled) await flushToDatabase();
+  if (db) db.close();
+  db = null;
+}
+
+async function switchProfile(id) {
+  if (id === profiles.active || !profiles.list.some(p => p.id === id)) return;
+  await closeActiveProfile();
+  profiles.active = id;
+  saveProfiles();
+
+  // Undo history belongs to the profile it was recorded in
+  undoStack = [];
+  redoStack = [];
+  await loadData();
+  checkMonthlyReset();
+  checkPeriodReset();
+  postDueRecurring();
+  renderAll();
+  renderUndoButtons();
+  showToast(`Switched to ${activeProfile().name}`);
+}
+
+function onProfileSelect(select) {
+  if (select.value === '__new') {
+    select.value = profiles.active;
+    createProfile();
+  } else {
+    switchProfile(select.value);
+  }
+}
+
+/** name: optional, otherwise asked for. Opens the new, empty profile. */
+async function createProfile(name = null) {
+  if (name === null) name = window.prompt('Name for the new budget profile');
+  name = (name || '').trim();
+  if (!name) return;
+  if (profiles.list.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+    showToast('A profile with that name already exists');
+    return;
+  }
+  const profile = { id: generateId(), name };
+  profiles.list.push(profile);
+  saveProfiles();
+  await switchProfile(profile.id);
+  saveData();
+}
+
+function renameProfile(id, name) {
+  const profile = profiles.list.find(p => p.id === id);
+  name = name.trim();
+  if (!profile || !name || name === profile.name) {
+    renderProfileSettings();
+    return;
+  }
+  profile.name = name;
+  saveProfiles();
+  renderProfileSwitcher();
+  renderProfileSettings();
+  showToast('Profile renamed');
+}
+
+function confirmDeleteProfile(id) {
+  const profile = profiles.list.find(p => p.id === id);
+  if (!profile || id === profiles.active) return;
+  showConfirmModal(
+    'Delete Profile',
+    `Delete "${profile.name}" and all of its transactions, history and settings? This can't be undone.`,
+    () => deleteProfile(id)
+  );
+}
 
-  // Archive the old month with the goal that was in effect at the time
-  archiveMonth(data.currentMonth, data.transactions, calcDynamicMonthlyGoal());
+async function deleteProfile(id) {
+  profiles.list = profiles.list.filter(p => p.id !== id);
+  saveProfiles();
+  localStorage.removeItem(storageKeyFor(id));
+  localStorage.removeItem(backupKeyFor(id));
+  if ('indexedDB' in window) indexedDB.deleteDatabase(dbNameFor(id));
+  renderProfileSwitcher();
+  renderProfileSettings();
+  showToast('Profile deleted');
+}
 
-  // Move to new month
-  data.currentMonth = currentKey;
-  data.transactions = [];
+/** Another profile's data, migrated and validated, or null if it has none.
+ *  Throws if what's stored can't be read as budget data. */
+async function readProfileData(id) {
+  let stored = null;
+  try {
+    const idb = await openDatabase(dbNameFor(id));
+    stored = await readDatabase(idb);
+    idb.close();
+  } catch (e) {
+    console.warn('IndexedDB unavailable, reading localStorage:', e);
+  }
+  if (!stored) {
+    const raw = localStorage.getItem(storageKeyFor(id));
+    if (raw) stored = JSON.parse(raw);
+  }
+  return stored ? normalizeData(stored).data : null;
+}
 
+/** Copy budget settings from another profile. Categories are matched by name;
+ *  this profile's transactions keep theirs. */
+async function copySettingsFromProfile() {
+  const id = document.getElementById('copyProfileSource').value;
+  let source;
+  try {
+    source = id ? await readProfileData(id) : null;
+  } catch (err) {
+    showToast(`Can't read that profile – ${err.message}`);
+    return;
+  }
+  if (!source) {
+    showToast('That profile has no settings yet');
+    return;
+  }
+  const before = cloneData(data);
+  const categoryMap = mergeImportedCategories(source);
+  source.settings.categories.forEach(cat => {
+    const local = findCategory(categoryMap[cat.id] || cat.id);
+    if (local) Object.assign(local, { budget: cat.budget, budgetPeriod: cat.budgetPeriod });
+  });
+  data.settings = Object.assign({}, source.settings, {
+    categories: data.settings.categories,
+    accounts: data.settings.accounts,
+    savingsGoals: data.settings.savingsGoals
+  });
   pruneOldHistory();
+  recordSnapshot('copySettings', before);
+  saveData();
+  renderAll();
+  renderSettings();
+  showToast(`Copied settings from ${profiles.list.find(p => p.id === id).name}`, UNDO_ACTION);
+}
+
+/** Add the other profile's recurring items that this one doesn't have yet. */
+async function copyRecurringFromProfile() {
+  const id = document.getElementById('copyProfileSource').value;
+  let source;
+  try {
+    source = id ? await readProfileData(id) : null;
+  } catch (err) {
+    showToast(`Can't read that profile – ${err.message}`);
+    return;
+  }
+  if (!source || source.recurring.length === 0) {
+    showToast('That profile has no recurring transactions');
+    return;
+  }
+  const before = cloneData(data);
+  const count = data.recurring.length;
+  mergeImportedRecurring(source, mergeImportedCategories(source));
+  const added = data.recurring.length - count;
+  recordSnapshot('copyRecurring', before);
+  saveData();
+  renderAll();
+  renderSettings();
+  showToast(`Copied ${added} recurring item${added !== 1 ? 's' : ''}`, UNDO_ACTION);
+}
+
+function renderProfileSwitcher() {
+  const select = document.getElementById('profileSelect');
+  const multiple = profiles.list.length > 1;
+  document.querySelector('.app-header').classList.toggle('has-profiles', multiple);
+  select.style.display = multiple ? '' : 'none';
+  select.innerHTML = profiles.list
+    .map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('') +
+    '<option value="__new">New Profile…</option>';
+  select.value = profiles.active;
+}
+
+function renderProfileSettings() {
+  const list = document.getElementById('profileList');
+  list.innerHTML = profiles.list.map(p => `
+    <div class="settings-row category-settings-row">
+      <input
+        type="text"
+        class="category-name-input"
+        value="${escapeHtml(p.name)}"
+        autocomplete="off"
+        aria-label="Profile name"
+        onchange="renameProfile('${p.id}', this.value)"
+      >
+      ${p.id === profiles.active
+        ? '<span class="settings-value under">Open</span>'
+        : `<button class="settings-inline-btn" onclick="switchProfile('${p.id}')">Open</button>
+           <button class="transaction-delete" onclick="confirmDeleteProfile('${p.id}')" aria-label="Delete">&#215;</button>`}
+    </div>
+  `).join('');
+
+  const others = profiles.list.filter(p => p.id !== profiles.active);
+  document.getElementById('copyProfileRow').style.display = others.length ? '' : 'none';
+  document.getElementById('copyProfileSource').innerHTML = others
+    .map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('');
+}
+
+/** Ask the browser not to evict our data. quiet: don't toast the outcome. */
+async function requestPersistentStorage(quiet = false) {
+  if (!navigator.storage || !navigator.storage.persist) {
+    if (!quiet) showToast('Persistent storage not supported');
+    return false;
+  }
+  const granted = await navigator.storage.persisted() || await navigator.storage.persist();
+  if (!quiet) showToast(granted ? 'Storage is persistent' : 'Browser declined persistent storage');
+  renderStorageInfo();
+  return granted;
+}
+
+function fmtBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  if (n < 1024 * 1024 * 1024) return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  return `${(n / 1024 / 1024 / 1024).toFixed(1)} GB`;
+}
+
+async function renderStorageInfo() {
+  const usageEl = document.getElementById('storageUsage');
+  const persistEl = document.getElementById('storagePersisted');
+  const persistBtn = document.getElementById('storagePersistBtn');
+
+  let usage = db ? 'IndexedDB' : 'localStorage (limited)';
+  let persisted = false;
+  if (navigator.storage && navigator.storage.estimate) {
+    try {
+      const est = await navigator.storage.estimate();
+      usage += ` · ${fmtBytes(est.usage || 0)} of ${fmtBytes(est.quota || 0)}`;
+      persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+    } catch (e) { /* estimate unavailable – show backend only */ }
+  }
+  usageEl.textContent = usage;
+  persistEl.textContent = persisted ? 'Yes' : 'No';
+  persistEl.classList.toggle('under', persisted);
+  persistBtn.style.display = persisted ? 'none' : '';
+}
+
+// ─── Monthly Reset ────────────────────────────────────────
+function checkMonthlyReset() {
+  const reset = BudgetEngine.checkMonthlyReset(data, new Date());
+  if (!reset) return;
   saveData();
 
+  // Other period modes announce their own reset (checkPeriodReset)
+  if (data.settings.periodMode !== 'monthly') return;
   const newGoal = calcDynamicMonthlyGoal();
-  showToast(`New month – budget reset to $${fmtCurrency(newGoal)}`);
+  const carried = reset.closedYear !== null ? calcCarryOver(budgetYearOf(data.currentMonth)) : 0;
+  const what = (reset.archived > 1 ? `Caught up ${reset.archived} months`
+    : reset.closedYear !== null ? 'New year' : 'New month') +
+    (reset.posted > 0 ? ` (${reset.posted} recurring posted)` : '');
+  showToast(carried
+    ? `${what} – ${carried > 0 ? '+' : '-'}${fmtMoney(carried)} carried over, ${fmtMoney(newGoal)} this month`
+    : `${what} – budget reset to ${fmtMoney(newGoal)}`);
+}
+
+/** Weekly, biweekly and semi-monthly modes: start a new budget period when
+ *  one has begun. Storage still rolls over by month in checkMonthlyReset(). */
+function checkPeriodReset() {
+  if (data.settings.periodMode === 'monthly') return;
+  const period = currentPeriod();
+  if (data.currentPeriod === period.start) return;
+
+  const firstCheck = data.currentPeriod === null;   // mode was just chosen
+  data.currentPeriod = period.start;
+  saveData();
+  if (!firstCheck) {
+    showToast(`New ${PERIOD_NOUNS[data.settings.periodMode]} – budget reset to ${fmtMoney(calcPeriodGoal(period))}`);
+  }
+}
+
+// ─── Calculations ─────────────────────────────────────────
+
+/** "2026" for calendar years, "2026–27" when the budget year spans two. */
+function fmtBudgetYear(year) {
+  if (data.settings.yearStartMonth === 1) return String(year);
+  return `${year}–${String(year + 1).slice(2)}`;
+}
+
+/** This month's allocation for a category envelope.
+ *  Monthly envelopes are fixed; annual envelopes are spread like the overall goal:
+ *  (annual allocation − prior months' net spend in the category) ÷ months remaining. */
+function calcCategoryMonthlyAllocation(cat) {
+  const budget = cat.budget || 0;
+  if (budget <= 0) return 0;
+  if (cat.budgetPeriod !== 'annual') return budget;
+
+  const priorNet = priorMonthKeysThisYear()
+    .reduce((s, key) => s + calcCategoryNet(cat.id, data.history[key].transactions), 0);
+  return Math.max(0, (budget - priorNet) / calcMonthsRemainingInYear());
 }
 
-function archiveMonth(monthKey, transactions, goal) {
-  if (!monthKey) return;
-  data.history[monthKey] = {
-    goal: goal || 0,
-    transactions: transactions || []
+/** Envelope status for every budgeted category this month, plus an
+ *  "Unallocated" envelope holding whatever of the monthly goal is left over.
+ *  Unbudgeted and uncategorized transactions and savings contributions draw
+ *  from the unallocated envelope, so all remaining amounts add up to
+ *  calcMonthlyRemaining(). */
+function calcCategoryEnvelopes() {
+  const envelopes = data.settings.categories
+    .filter(c => (c.budget || 0) > 0)
+    .map(c => {
+      const allocation = calcCategoryMonthlyAllocation(c);
+      const spent = calcCategoryNet(c.id, data.transactions);
+      return { id: c.id, name: c.name, period: c.budgetPeriod, allocation, spent, remaining: allocation - spent };
+    });
+
+  const allocated = envelopes.reduce((s, e) => s + e.allocation, 0);
+  const allocatedSpent = envelopes.reduce((s, e) => s + e.spent, 0);
+  const unallocated = calcDynamicMonthlyGoal() - allocated;
+  const unallocatedSpent = calcMonthSpent() - calcMonthIncome() + calcMonthSaved() - allocatedSpent;
+
+  return {
+    envelopes,
+    unallocated: {
+      id: null,
+      name: 'Unallocated',
+      allocation: unallocated,
+      spent: unallocatedSpent,
+      remaining: unallocated - unallocatedSpent
+    }
   };
 }
 
-function pruneOldHistory() {
-  const thisYear = CURRENT_YEAR();
-  const lastYear = thisYear - 1;
-  Object.keys(data.history).forEach(key => {
-    if (parseInt(key.split('-')[0], 10) < lastYear) {
-      delete data.history[key];
+// ─── Budget Periods ───────────────────────────────────────
+// The period math lives in budget.js; these are the labels for each mode.
+const PERIOD_NOUNS = { monthly: 'month', weekly: 'week', biweekly: 'pay period', semimonthly: 'half-month' };
+const PERIOD_TITLES = { monthly: 'This Month', weekly: 'This Week', biweekly: 'This Pay Period', semimonthly: 'This Half-Month' };
+const PERIOD_HISTORY_TITLES = { monthly: 'Monthly History', weekly: 'Weekly History', biweekly: 'Pay Period History', semimonthly: 'Half-Month History' };
+
+function fmtPeriodLabel(period) {
+  if (data.settings.periodMode === 'monthly') return fmtMonthLabel(period.start.slice(0, 7));
+  return `${fmtDate(period.start)} – ${fmtDate(period.end)}, ${period.end.slice(0, 4)}`;
+}
+
+// ─── Forecast ─────────────────────────────────────────────
+// Projects where the current month (or budget period) will end up: what's
+// been spent so far, plus known upcoming items (future-dated transactions and
+// recurring items not yet posted), plus everyday spending continuing at the
+// pace so far. Recurring postings are left out of that pace so the rent paid
+// on the 1st isn't treated as a daily habit.
+
+/** { start, end } of the current month, in the same shape as a budget period. */
+function currentMonthRange() {
+  const [y, m] = data.currentMonth.split('-').map(n => parseInt(n, 10));
+  return { start: `${data.currentMonth}-01`, end: `${data.currentMonth}-${String(new Date(y, m, 0).getDate()).padStart(2, '0')}` };
+}
+
+/** period: { start, end } date keys; goal: its budget. */
+function calcForecast(period, goal, today = new Date()) {
+  const todayKey = toDateKey(today);
+  const tomorrowKey = toDateKey(addDays(today, 1));
+  const afterEnd = toDateKey(addDays(parseDateKey(period.end), 1));
+  const daysTotal = Math.round((parseDateKey(afterEnd) - parseDateKey(period.start)) / 86400000);
+  const daysElapsed = Math.min(daysTotal, Math.round((parseDateKey(tomorrowKey) - parseDateKey(period.start)) / 86400000));
+  const daysLeft = daysTotal - daysElapsed;
+
+  let netSoFar = 0, everydayNet = 0, upcoming = 0;
+  periodTransactions(period).forEach(({ tx }) => {
+    if (isTransfer(tx)) return;
+    if (tx.date > todayKey) {
+      upcoming -= tx.amount;
+    } else {
+      netSoFar -= tx.amount;
+      if (!tx.recurringId && !isContribution(tx)) everydayNet -= tx.amount;
     }
   });
+  data.recurring.forEach(rec => {
+    const from = rec.lastPosted && rec.lastPosted > todayKey ? rec.lastPosted : todayKey;
+    upcoming -= recurringDatesBetween(rec, from, period.end).length * rec.amount;
+  });
+
+  const dailyRate = daysElapsed > 0 ? Math.max(0, everydayNet) / daysElapsed : 0;
+  const projected = netSoFar + upcoming + dailyRate * daysLeft;
+  const available = goal - netSoFar - upcoming;
+  return {
+    netSoFar,
+    upcoming,
+    dailyRate,
+    projected,
+    goal,
+    daysLeft: daysLeft + 1,                            // today still counts for spending
+    safePerDay: Math.max(0, available) / (daysLeft + 1),
+    onTrack: projected <= goal
+  };
 }
 
-// ─── Calculations ─────────────────────────────────────────
+/** Year-end net spend if the rest of the budget year averages what this
+ *  month is projected to join. Null without an annual budget. */
+function calcYearForecast(today = new Date()) {
+  const annual = calcAnnualBudget();
+  if (annual <= 0) return null;
+  const monthsElapsed = budgetMonthIndex(data.currentMonth) + 1;
+  const soFar = calcPriorMonthsNetThisYear() + calcForecast(currentMonthRange(), calcDynamicMonthlyGoal(), today).projected;
+  const projected = soFar / monthsElapsed * 12;
+  return { projected, annual, onTrack: projected <= annual };
+}
 
-/** Months remaining in year INCLUDING current month (Jan=12, Dec=1). */
-function calcMonthsRemainingInYear() {
-  return 12 - new Date().getMonth(); // getMonth() 0-indexed
+// ─── Budget Alerts ────────────────────────────────────────
+// Opt-in alerts when the month's net spend crosses a threshold of the monthly
+// goal, or a category crosses one of its budget. Each (month, scope, threshold)
+// fires once – the overall goal once per period in weekly and pay-period modes –
+// and data.alertLog doubles as that record and as the history shown in
+// Settings. Notifications go through the service worker registration so
+// they work from an installed Home Screen app; without permission the alert
+// shows as a banner on the Budget tab instead.
+
+/** What each alert scope has used this month (the overall goal: this budget
+ *  period, matching the main screen): [{ scope, name, used, budget }]. */
+function calcAlertUsage() {
+  const period = data.settings.periodMode === 'monthly' ? null : currentPeriod();
+  const usage = [period ? {
+    scope: 'overall',
+    name: `${fmtPeriodLabel(period)} budget`,
+    used: calcPeriodNet(period),
+    budget: calcPeriodGoal(period)
+  } : {
+    scope: 'overall',
+    name: `${fmtMonthLabel(data.currentMonth)} budget`,
+    used: calcMonthSpent() - calcMonthIncome() + calcMonthSaved(),
+    budget: calcDynamicMonthlyGoal()
+  }];
+  if (data.settings.categoryAlerts) {
+    calcCategoryEnvelopes().envelopes.forEach(env => {
+      usage.push({ scope: env.id, name: `${env.name} budget`, used: env.spent, budget: env.allocation });
+    });
+  }
+  return usage.filter(u => u.budget > 0);
 }
 
-/** Net spending in PRIOR history months of the current year only.
- *  Excludes the current month so the monthly goal stays fixed
- *  regardless of what is spent during the month. */
-function calcPriorMonthsNetThisYear() {
-  const thisYearStr = CURRENT_YEAR().toString();
-  let spent = 0, income = 0;
-  Object.keys(data.history).forEach(key => {
-    if (key.startsWith(thisYearStr)) {
-      (data.history[key].transactions || []).forEach(tx => {
-        if (tx.amount < 0) spent += Math.abs(tx.amount);
-        else income += tx.amount;
-      });
-    }
+/** Start date of the period an overall alert belongs to in weekly and pay-period
+ *  modes; null where alerts go by month. */
+function alertPeriod(scope) {
+  return scope === 'overall' && data.settings.periodMode !== 'monthly' ? currentPeriod().start : null;
+}
+
+/** Whether a log entry still stops its threshold from alerting again. */
+function isCurrentAlert(e) {
+  const period = alertPeriod(e.scope);
+  return period ? e.period === period : e.month === data.currentMonth && !e.period;
+}
+
+function alertAlreadySent(scope, threshold) {
+  return data.alertLog.some(e => e.scope === scope && e.threshold === threshold && isCurrentAlert(e));
+}
+
+/** Send any alerts whose threshold has been crossed this month and not yet sent.
+ *  Crossing several thresholds at once sends only the highest. */
+function checkBudgetAlerts() {
+  if (!data.settings.alertsEnabled) return;
+  let logged = false;
+
+  calcAlertUsage().forEach(u => {
+    const pct = u.used / u.budget * 100;
+    const crossed = data.settings.alertThresholds.filter(t => pct >= t && !alertAlreadySent(u.scope, t));
+    if (crossed.length === 0) return;
+
+    const message = `${Math.round(pct)}% of the ${u.name} used – ${fmtMoney(u.used)} of ${fmtMoney(u.budget)}`;
+    const channel = deliverAlert(message, `${data.currentMonth}-${u.scope}`);
+    const sentAt = new Date().toISOString();
+    const period = alertPeriod(u.scope);
+    crossed.forEach(threshold => {
+      const entry = { month: data.currentMonth, scope: u.scope, threshold, message, sentAt, channel };
+      if (period) entry.period = period;
+      data.alertLog.unshift(entry);
+    });
+    logged = true;
   });
-  return spent - income;
+
+  if (logged) {
+    data.alertLog = data.alertLog.slice(0, ALERT_LOG_LIMIT);
+    saveData();
+    if (document.getElementById('tab-settings').classList.contains('active')) renderAlertSettings();
+  }
+}
+
+/** Show a system notification if allowed, otherwise the in-app banner. Returns which was used. */
+function deliverAlert(message, tag) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') {
+    document.getElementById('alertBannerText').textContent = message;
+    document.getElementById('alertBanner').classList.add('show');
+    return 'in-app';
+  }
+  const options = { body: message, tag, icon: 'icon-192.png', badge: 'icon-192.png' };
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then(reg => reg.showNotification('SimpleBudget', options))
+      .catch(() => new Notification('SimpleBudget', options));
+  } else {
+    new Notification('SimpleBudget', options);
+  }
+  return 'notification';
 }
 
-/** Monthly budget target, fixed at the start of the month.
- *  = (annualBudget − prior months' net spend) ÷ months remaining.
- *  Does NOT change as transactions are added in the current month. */
-function calcDynamicMonthlyGoal() {
-  const monthsLeft = calcMonthsRemainingInYear();
-  if (monthsLeft <= 0) return 0;
-  const annual = data.settings.annualBudget || 0;
-  return (annual - calcPriorMonthsNetThisYear()) / monthsLeft;
+function dismissAlertBanner() {
+  document.getElementById('alertBanner').classList.remove('show');
+}
+
+async function setAlertsEnabled(checked) {
+  data.settings.alertsEnabled = checked;
+  if (checked && 'Notification' in window && Notification.permission === 'default') {
+    try {
+      await Notification.requestPermission();
+    } catch (e) {
+      console.warn('Notification permission request failed:', e);
+    }
+  }
+  saveData();
+  renderAlertSettings();
+  if (checked) {
+    showToast(('Notification' in window && Notification.permission === 'granted')
+      ? 'Budget alerts on'
+      : 'Budget alerts on – shown in the app while notifications are off');
+    checkBudgetAlerts();
+  } else {
+    showToast('Budget alerts off');
+  }
 }
 
-/** Remaining annual budget — includes current month spending, used for the meta line. */
-function calcRemainingAnnual() {
-  const annual = data.settings.annualBudget || 0;
-  const priorNet = calcPriorMonthsNetThisYear();
-  const currentNet = calcMonthSpent() - calcMonthIncome();
-  return annual - priorNet - currentNet;
+function setAlertThresholds(value) {
+  data.settings.alertThresholds = parseAlertThresholds(value);
+  saveData();
+  renderAlertSettings();
+  checkBudgetAlerts();
 }
 
-/** This month: how much is left of the dynamic monthly goal. */
-function calcMonthlyRemaining() {
-  const monthSpent = data.transactions
-    .filter(t => t.amount < 0)
-    .reduce((s, t) => s + Math.abs(t.amount), 0);
-  const monthIncome = data.transactions
-    .filter(t => t.amount > 0)
-    .reduce((s, t) => s + t.amount, 0);
-  return calcDynamicMonthlyGoal() - monthSpent + monthIncome;
+function setCategoryAlerts(checked) {
+  data.settings.categoryAlerts = checked;
+  saveData();
+  checkBudgetAlerts();
 }
 
-function calcMonthSpent() {
-  return data.transactions
-    .filter(t => t.amount < 0)
-    .reduce((s, t) => s + Math.abs(t.amount), 0);
+/** Empties the visible log. This month's entries are kept, hidden, so thresholds
+ *  already crossed don't alert again. */
+function clearAlertLog() {
+  data.alertLog = data.alertLog.filter(isCurrentAlert).map(e => Object.assign({}, e, { cleared: true }));
+  saveData();
+  renderAlertSettings();
+  showToast('Alert log cleared');
 }
 
-function calcMonthIncome() {
-  return data.transactions
-    .filter(t => t.amount > 0)
-    .reduce((s, t) => s + t.amount, 0);
+function renderAlertSettings() {
+  const enabled = data.settings.alertsEnabled;
+  document.getElementById('alertsToggle').checked = enabled;
+  document.getElementById('alertThresholds').value = data.settings.alertThresholds.join(', ');
+  document.getElementById('categoryAlertsToggle').checked = data.settings.categoryAlerts;
+  document.getElementById('alertOptions').style.display = enabled ? '' : 'none';
+
+  const permission = 'Notification' in window ? Notification.permission : 'unsupported';
+  document.getElementById('alertPermissionHint').textContent = {
+    granted: 'Alerts arrive as notifications, once per threshold each month',
+    denied: 'Notifications are blocked for this app – alerts show inside the app instead',
+    default: 'Alerts show inside the app until notifications are allowed',
+    unsupported: 'This browser can\'t show notifications – alerts show inside the app'
+  }[permission];
+
+  const log = document.getElementById('alertLog');
+  const shown = data.alertLog.filter(e => !e.cleared);
+  log.innerHTML = shown.length === 0
+    ? '<div class="settings-hint">No alerts sent yet</div>'
+    : shown.slice(0, 20).map(e => `
+        <div class="alert-log-row">
+          <div class="alert-log-message">${escapeHtml(e.message)}</div>
+          <div class="alert-log-meta">${fmtDate(e.sentAt.slice(0, 10))} · ${e.threshold}% · ${e.channel === 'notification' ? 'Notification' : 'In app'}</div>
+        </div>
+      `).join('');
+  document.getElementById('clearAlertLogBtn').style.display = shown.length ? '' : 'none';
 }
 
 // ─── Rendering ────────────────────────────────────────────
-function fmtCurrency(n) {
-  if (isNaN(n)) return '0.00';
-  return Math.abs(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+/** Unsigned amount in the chosen locale and decimal places, without a symbol. */
+function fmtCurrency(n, decimals = data.settings.currencyDecimals) {
+  if (isNaN(n)) n = 0;
+  return Math.abs(n).toLocaleString(data.settings.locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+/** Unsigned amount with the currency symbol on the chosen side. Callers add any +/− sign. */
+function fmtMoney(n, decimals = data.settings.currencyDecimals) {
+  return withCurrencySymbol(fmtCurrency(n, decimals));
+}
+
+function withCurrencySymbol(amountStr) {
+  const symbol = data.settings.currencySymbol;
+  if (data.settings.currencyPosition === 'after') return `${amountStr}\u00a0${symbol}`;
+  return `${symbol}${amountStr}`;
 }
 
 function fmtDate(dateStr) {
   const d = new Date(dateStr + 'T12:00:00');
-  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  return d.toLocaleDateString(data.settings.locale, { month: 'short', day: 'numeric' });
 }
 
 function fmtMonthLabel(monthKey) {
   const [year, month] = monthKey.split('-');
   const d = new Date(parseInt(year), parseInt(month) - 1, 1);
-  return d.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  return d.toLocaleDateString(data.settings.locale, { month: 'long', year: 'numeric' });
+}
+
+/** 'expense' | 'income' | 'transfer' | 'savings' – the class used for a transaction's icon and amount. */
+function txTypeClass(tx) {
+  if (isTransfer(tx)) return 'transfer';
+  if (isContribution(tx)) return 'savings';
+  return tx.amount < 0 ? 'expense' : 'income';
+}
+
+function txIcon(tx) {
+  if (isTransfer(tx)) return '&#8644;';
+  if (isContribution(tx)) return '&#127974;';
+  return tx.amount < 0 ? '&#128176;' : '&#128200;';
+}
+
+/** Signed amount for lists; transfers and contributions have no sign since
+ *  they're neither spent nor earned. */
+function fmtTxAmount(tx) {
+  if (!isBudgetTransaction(tx)) return fmtMoney(tx.amount);
+  return `${tx.amount < 0 ? '-' : '+'}${fmtMoney(tx.amount)}`;
+}
+
+/** Category (and account, if any) for the line under a transaction. */
+function txDetail(tx) {
+  if (isTransfer(tx)) return `${getAccountName(tx.account)} → ${getAccountName(tx.transferTo)}`;
+  if (isContribution(tx)) return findSavingsGoal(tx.savingsGoal) ? `${NO_GOAL_LABEL}: ${getSavingsGoalName(tx.savingsGoal)}` : NO_GOAL_LABEL;
+  const category = tx.splits
+    ? `Split: ${[...new Set(tx.splits.map(part => getCategoryName(part.category)))].join(', ')}`
+    : getCategoryName(tx.category);
+  return findAccount(tx.account) ? `${category} · ${getAccountName(tx.account)}` : category;
+}
+
+/** Symbols, quick-amount buttons and input precision in the static markup. */
+function renderCurrencyLabels() {
+  const after = data.settings.currencyPosition === 'after';
+  const step = data.settings.currencyDecimals > 0 ? String(Math.pow(10, -data.settings.currencyDecimals)) : '1';
+  document.querySelectorAll('.currency-symbol, .settings-currency').forEach(el => {
+    el.textContent = data.settings.currencySymbol;
+    el.parentElement.classList.toggle('symbol-after', after);
+  });
+  document.querySelectorAll('.quick-btn').forEach((btn, i) => {
+    btn.textContent = fmtMoney(QUICK_AMOUNTS[i], 0);
+  });
+  document.querySelectorAll('.amount-input, .settings-input[type="number"]:not(.rate-input)').forEach(input => {
+    input.placeholder = fmtCurrency(0).replace(/\s/g, '');
+    input.step = step;
+  });
 }
 
 function renderBudgetHero() {
-  const remaining = calcMonthlyRemaining();
-  const monthlyGoal = calcDynamicMonthlyGoal();
+  const mode = data.settings.periodMode;
+  const period = mode === 'monthly' ? null : currentPeriod();
+  const monthlyGoal = period ? calcPeriodGoal(period) : calcDynamicMonthlyGoal();
+  const remaining = period ? monthlyGoal - calcPeriodNet(period) : calcMonthlyRemaining();
   const remainingAnnual = calcRemainingAnnual();
-  const spent = calcMonthSpent();
-  const income = calcMonthIncome();
+  const spent = period ? Math.max(0, calcPeriodNet(period)) : calcMonthSpent();
+  const income = period ? 0 : calcMonthIncome();
+  const saved = period ? 0 : calcMonthSaved();   // already in the period net
+
+  document.getElementById('budgetLabel').textContent = `Remaining ${PERIOD_TITLES[mode]}`;
 
   const amountEl = document.getElementById('remainingAmount');
   const fillEl = document.getElementById('progressFill');
@@ -190,11 +1056,11 @@ function renderBudgetHero() {
 
   // Large amount display
   const sign = remaining < 0 ? '-' : '';
-  amountEl.textContent = `${sign}$${fmtCurrency(Math.abs(remaining))}`;
+  amountEl.textContent = `${sign}${fmtMoney(Math.abs(remaining))}`;
   amountEl.classList.toggle('over-budget', remaining < 0);
 
   // Progress bar (% of monthly goal spent)
-  const netMonthSpend = Math.max(0, spent - income);
+  const netMonthSpend = Math.max(0, spent - income + saved);
   let pct = monthlyGoal > 0 ? Math.min(netMonthSpend / monthlyGoal * 100, 100) : 0;
   fillEl.style.width = `${pct}%`;
   fillEl.classList.remove('warning', 'danger');
@@ -203,44 +1069,174 @@ function renderBudgetHero() {
 
   // Meta: remaining for year
   const annualSign = remainingAnnual < 0 ? '-' : '';
-  metaEl.textContent = `Remaining for year: ${annualSign}$${fmtCurrency(Math.abs(remainingAnnual))}`;
+  metaEl.textContent = `Remaining for year: ${annualSign}${fmtMoney(Math.abs(remainingAnnual))}` +
+    (saved > 0 ? ` · Saved: ${fmtMoney(saved)}` : '');
+
+  renderForecast(period || currentMonthRange(), monthlyGoal);
 }
 
-function renderTransactionsList() {
-  const list = document.getElementById('transactionsList');
+function renderForecast(period, goal) {
+  const section = document.getElementById('forecastSection');
+  if (goal <= 0) {
+    section.style.display = 'none';
+    return;
+  }
+  section.style.display = '';
+
+  const noun = PERIOD_NOUNS[data.settings.periodMode];
+  const f = calcForecast(period, goal);
+  const year = calcYearForecast();
+  const status = (onTrack, diff) => `
+    <span class="envelope-status ${onTrack ? 'under' : 'over'}">
+      ${onTrack ? 'On track' : `${fmtMoney(diff)} over`}
+    </span>`;
+
+  document.getElementById('forecastList').innerHTML = `
+    <div class="category-breakdown-row">
+      <div class="category-breakdown-top">
+        <span class="category-breakdown-name">End of ${noun}</span>
+        ${status(f.onTrack, f.projected - f.goal)}
+      </div>
+      <div class="envelope-meta">
+        ${f.projected < 0 ? '-' : ''}${fmtMoney(f.projected)} projected of ${fmtMoney(f.goal)}${f.upcoming ? ` · includes ${fmtMoney(f.upcoming)} upcoming` : ''}
+      </div>
+    </div>
+    <div class="category-breakdown-row">
+      <div class="category-breakdown-top">
+        <span class="category-breakdown-name">Safe to spend</span>
+        <span class="envelope-status ${f.safePerDay > 0 ? 'under' : 'over'}">${fmtMoney(f.safePerDay)}/day</span>
+      </div>
+      <div class="envelope-meta">
+        For the ${f.daysLeft} day${f.daysLeft !== 1 ? 's' : ''} left this ${noun} · spending ${fmtMoney(f.dailyRate)}/day so far
+      </div>
+    </div>
+    ${year ? `
+      <div class="category-breakdown-row">
+        <div class="category-breakdown-top">
+          <span class="category-breakdown-name">End of year</span>
+          ${status(year.onTrack, year.projected - year.annual)}
+        </div>
+        <div class="envelope-meta">
+          ${year.projected < 0 ? '-' : ''}${fmtMoney(year.projected)} projected of ${fmtMoney(year.annual)} for ${fmtBudgetYear(budgetYearOf(data.currentMonth))}
+        </div>
+      </div>
+    ` : ''}
+  `;
+}
+
+function renderTransactionsList() {
+  const list = document.getElementById('transactionsList');
   const count = document.getElementById('transactionCount');
+  const mode = data.settings.periodMode;
+  const entries = mode === 'monthly'
+    ? data.transactions.map(tx => ({ tx, monthKey: null }))
+    : periodTransactions(currentPeriod());
 
-  if (data.transactions.length === 0) {
-    list.innerHTML = '<div class="empty-state">No transactions yet this month</div>';
+  document.getElementById('transactionsTitle').textContent = PERIOD_TITLES[mode];
+  if (entries.length === 0) {
+    list.innerHTML = `<div class="empty-state">No transactions yet this ${PERIOD_NOUNS[mode]}</div>`;
     count.textContent = '';
     return;
   }
 
-  count.textContent = `${data.transactions.length} transaction${data.transactions.length !== 1 ? 's' : ''}`;
+  count.textContent = `${entries.length} transaction${entries.length !== 1 ? 's' : ''}`;
 
-  list.innerHTML = data.transactions.map(tx => {
-    const isExpense = tx.amount < 0;
-    const typeClass = isExpense ? 'expense' : 'income';
-    const icon = isExpense ? '&#128176;' : '&#128200;';
-    const amtStr = isExpense
-      ? `-$${fmtCurrency(Math.abs(tx.amount))}`
-      : `+$${fmtCurrency(tx.amount)}`;
+  list.innerHTML = entries.map(({ tx, monthKey }) => {
+    const keyArg = monthKey ? `, '${monthKey}'` : '';
+    const typeClass = txTypeClass(tx);
 
     return `
-      <div class="transaction-item" onclick="openEditTx('${tx.id}')">
-        <div class="transaction-icon ${typeClass}">${icon}</div>
+      <div class="transaction-item" onclick="openEditTx('${tx.id}'${keyArg})">
+        <div class="transaction-icon ${typeClass}">${txIcon(tx)}</div>
         <div class="transaction-info">
           <div class="transaction-desc">${escapeHtml(tx.description)}</div>
-          <div class="transaction-date">${fmtDate(tx.date)}${tx.time ? ' at ' + tx.time : ''}</div>
+          <div class="transaction-date">${fmtDate(tx.date)}${tx.time ? ' at ' + tx.time : ''} · ${escapeHtml(txDetail(tx))}</div>
         </div>
-        <div class="transaction-amount ${typeClass}">${amtStr}</div>
-        <button class="transaction-delete" onclick="event.stopPropagation(); confirmDeleteTx('${tx.id}')" aria-label="Delete">&#215;</button>
+        <div class="transaction-amount ${typeClass}">${fmtTxAmount(tx)}${renderOriginalAmount(tx)}</div>
+        ${renderAttachmentBadge(tx, keyArg)}
+        <button class="transaction-delete" onclick="event.stopPropagation(); confirmDeleteTx('${tx.id}'${keyArg})" aria-label="Delete">&#215;</button>
       </div>
     `;
   }).join('');
 }
 
+function renderCategoryBreakdown() {
+  const list = document.getElementById('categoryBreakdown');
+  const total = document.getElementById('categoryTotal');
+  const breakdown = calcCategoryBreakdown(data.transactions);
+
+  if (breakdown.length === 0) {
+    list.innerHTML = '<div class="empty-state">No spending yet this month</div>';
+    total.textContent = '';
+    return;
+  }
+
+  total.textContent = `${fmtMoney(calcMonthSpent())} spent`;
+  list.innerHTML = renderCategoryBreakdownRows(breakdown);
+}
+
+function renderCategoryBudgets() {
+  const section = document.getElementById('categoryBudgetsSection');
+  const list = document.getElementById('categoryBudgetsList');
+  const { envelopes, unallocated } = calcCategoryEnvelopes();
+
+  if (envelopes.length === 0) {
+    section.style.display = 'none';
+    return;
+  }
+  section.style.display = '';
+  list.innerHTML = envelopes.concat(unallocated).map(renderEnvelopeRow).join('');
+}
+
+function renderEnvelopeRow(env) {
+  const over = env.remaining < 0;
+  const pct = env.allocation > 0
+    ? Math.min(Math.max(0, env.spent) / env.allocation * 100, 100)
+    : (env.spent > 0 ? 100 : 0);
+  const level = pct >= 90 ? ' danger' : pct >= 70 ? ' warning' : '';
+  const periodLabel = env.period === 'annual' ? ' · from annual' : '';
+
+  return `
+    <div class="category-breakdown-row${env.id ? '' : ' envelope-unallocated'}">
+      <div class="category-breakdown-top">
+        <span class="category-breakdown-name">${escapeHtml(env.name)}</span>
+        <span class="envelope-status ${over ? 'over' : 'under'}">
+          ${fmtMoney(env.remaining)} ${over ? 'over' : 'left'}
+        </span>
+      </div>
+      <div class="category-breakdown-bar">
+        <div class="category-breakdown-fill${level}" style="width:${pct}%"></div>
+      </div>
+      <div class="envelope-meta">
+        ${env.spent < 0 ? '+' : ''}${fmtMoney(env.spent)} of ${fmtMoney(env.allocation)}${periodLabel}
+      </div>
+    </div>
+  `;
+}
+
+/** Shared row markup for the Budget tab and history month cards. */
+function renderCategoryBreakdownRows(breakdown) {
+  return breakdown.map(c => `
+    <div class="category-breakdown-row">
+      <div class="category-breakdown-top">
+        <span class="category-breakdown-name">${escapeHtml(c.name)}</span>
+        <span class="category-breakdown-amount">${fmtMoney(c.spent)}<span class="category-breakdown-pct">${Math.round(c.pct)}%</span></span>
+      </div>
+      <div class="category-breakdown-bar">
+        <div class="category-breakdown-fill" style="width:${c.pct}%"></div>
+      </div>
+    </div>
+  `).join('');
+}
+
 function renderHistory() {
+  renderArchive();
+  renderTrendCharts();
+  if (data.settings.periodMode !== 'monthly') {
+    renderPeriodHistory();
+    return;
+  }
+  document.getElementById('historyTitle').textContent = PERIOD_HISTORY_TITLES.monthly;
   const list = document.getElementById('historyList');
   const keys = Object.keys(data.history).sort().reverse();
 
@@ -261,11 +1257,11 @@ function renderHistory() {
     const month = data.history[key];
     const txs = month.transactions || [];
     const goal = month.goal || 0;
-    const spent = txs.filter(t => t.amount < 0).reduce((s, t) => s + Math.abs(t.amount), 0);
-    const income = txs.filter(t => t.amount > 0).reduce((s, t) => s + t.amount, 0);
-    const net = spent - income;
-    const underBudget = net <= goal;
+    const { net } = calcMonthTotals(txs);
+    const saved = calcSaved(txs);
+    const underBudget = isWithinGoal(net, saved, goal);
     const isOpen = openKeys.has(key);
+    const breakdown = calcCategoryBreakdown(txs);
 
     return `
       <div class="history-month-card">
@@ -273,29 +1269,30 @@ function renderHistory() {
           <span class="history-month-name">${fmtMonthLabel(key)}</span>
           <div class="history-month-summary">
             <div class="history-month-spent ${underBudget ? 'under' : ''}">
-              ${underBudget ? '' : 'Over '}$${fmtCurrency(net)}
+              ${underBudget ? '' : 'Over '}${fmtMoney(net)}
             </div>
-            <div class="history-month-goal">Goal: $${fmtCurrency(goal)}</div>
+            <div class="history-month-goal">Goal: ${fmtMoney(goal)}${saved ? ` · Saved: ${fmtMoney(saved)}` : ''}</div>
           </div>
           <span class="history-month-chevron">&#8250;</span>
         </div>
         <div class="history-transactions${isOpen ? ' open' : ''}" id="hist-${key}">
+          ${breakdown.length > 0
+            ? `<div class="history-category-breakdown">${renderCategoryBreakdownRows(breakdown)}</div>`
+            : ''
+          }
           ${txs.length === 0
             ? '<div class="empty-state">No transactions</div>'
             : txs.map(tx => {
-                const isExpense = tx.amount < 0;
-                const typeClass = isExpense ? 'expense' : 'income';
-                const amtStr = isExpense
-                  ? `-$${fmtCurrency(Math.abs(tx.amount))}`
-                  : `+$${fmtCurrency(tx.amount)}`;
+                const typeClass = txTypeClass(tx);
                 return `
                   <div class="transaction-item" onclick="openEditTx('${tx.id}', '${key}')">
-                    <div class="transaction-icon ${typeClass}">${isExpense ? '&#128176;' : '&#128200;'}</div>
+                    <div class="transaction-icon ${typeClass}">${txIcon(tx)}</div>
                     <div class="transaction-info">
                       <div class="transaction-desc">${escapeHtml(tx.description)}</div>
-                      <div class="transaction-date">${fmtDate(tx.date)}</div>
+                      <div class="transaction-date">${fmtDate(tx.date)} · ${escapeHtml(txDetail(tx))}</div>
                     </div>
-                    <div class="transaction-amount ${typeClass}">${amtStr}</div>
+                    <div class="transaction-amount ${typeClass}">${fmtTxAmount(tx)}${renderOriginalAmount(tx)}</div>
+                    ${renderAttachmentBadge(tx, `, '${key}'`)}
                     <button class="transaction-delete" onclick="event.stopPropagation(); confirmDeleteTx('${tx.id}', '${key}')" aria-label="Delete">&#215;</button>
                   </div>
                 `;
@@ -307,6 +1304,309 @@ function renderHistory() {
   }).join('');
 }
 
+/** History grouped by budget period instead of month, for non-monthly modes.
+ *  Covers the months still in editable history. */
+function renderPeriodHistory() {
+  const list = document.getElementById('historyList');
+  const mode = data.settings.periodMode;
+  const current = currentPeriod();
+  document.getElementById('historyTitle').textContent = PERIOD_HISTORY_TITLES[mode];
+
+  const byPeriod = new Map();
+  const add = (tx, monthKey) => {
+    if (tx.date >= current.start) return;
+    const period = periodContaining(tx.date);
+    if (!byPeriod.has(period.start)) byPeriod.set(period.start, { period, entries: [] });
+    byPeriod.get(period.start).entries.push({ tx, monthKey });
+  };
+  data.transactions.forEach(tx => add(tx, null));
+  Object.keys(data.history).forEach(key => (data.history[key].transactions || []).forEach(tx => add(tx, key)));
+
+  const starts = [...byPeriod.keys()].sort().reverse();
+  if (starts.length === 0) {
+    list.innerHTML = `<div class="empty-state">No history yet.<br>Complete a full ${PERIOD_NOUNS[mode]} to see history here.</div>`;
+    return;
+  }
+
+  const openKeys = new Set(starts.filter(k => {
+    const el = document.getElementById(`hist-${k}`);
+    return el && el.classList.contains('open');
+  }));
+
+  list.innerHTML = starts.map(start => {
+    const { period, entries } = byPeriod.get(start);
+    const goal = calcPeriodGoal(period);
+    const net = calcPeriodNet(period);   // includes savings contributions, as the hero does
+    const underBudget = isWithinGoal(net, 0, goal);
+    const isOpen = openKeys.has(start);
+    entries.sort((a, b) => b.tx.date.localeCompare(a.tx.date));
+
+    return `
+      <div class="history-month-card">
+        <div class="history-month-header${isOpen ? ' open' : ''}" onclick="toggleHistoryMonth('${start}', this)">
+          <span class="history-month-name">${fmtPeriodLabel(period)}</span>
+          <div class="history-month-summary">
+            <div class="history-month-spent ${underBudget ? 'under' : ''}">
+              ${underBudget ? '' : 'Over '}${net < 0 ? '-' : ''}${fmtMoney(net)}
+            </div>
+            <div class="history-month-goal">Goal: ${fmtMoney(goal)}</div>
+          </div>
+          <span class="history-month-chevron">&#8250;</span>
+        </div>
+        <div class="history-transactions${isOpen ? ' open' : ''}" id="hist-${start}">
+          ${entries.map(({ tx, monthKey }) => {
+            const typeClass = txTypeClass(tx);
+            const keyArg = monthKey ? `, '${monthKey}'` : '';
+            return `
+              <div class="transaction-item" onclick="openEditTx('${tx.id}'${keyArg})">
+                <div class="transaction-icon ${typeClass}">${txIcon(tx)}</div>
+                <div class="transaction-info">
+                  <div class="transaction-desc">${escapeHtml(tx.description)}</div>
+                  <div class="transaction-date">${fmtDate(tx.date)} · ${escapeHtml(txDetail(tx))}</div>
+                </div>
+                <div class="transaction-amount ${typeClass}">${fmtTxAmount(tx)}${renderOriginalAmount(tx)}</div>
+                ${renderAttachmentBadge(tx, keyArg)}
+                <button class="transaction-delete" onclick="event.stopPropagation(); confirmDeleteTx('${tx.id}'${keyArg})" aria-label="Delete">&#215;</button>
+              </div>
+            `;
+          }).join('')}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/** Read-only year cards for months that have left editable history. */
+function renderArchive() {
+  const section = document.getElementById('archiveSection');
+  const list = document.getElementById('archiveList');
+  const years = [...new Set(Object.keys(data.archive).map(budgetYearOf))].sort().reverse();
+
+  if (years.length === 0) {
+    section.style.display = 'none';
+    return;
+  }
+  section.style.display = '';
+
+  list.innerHTML = years.map(year => {
+    const keys = Object.keys(data.archive).filter(k => budgetYearOf(k) === year).sort();
+    const months = keys.map(k => data.archive[k]);
+    const net = months.reduce((s, m) => s + m.spent - m.income, 0);
+    const saved = months.reduce((s, m) => s + (m.saved || 0), 0);
+    const budget = data.yearEnds[year] ? data.yearEnds[year].annualBudget : months.reduce((s, m) => s + m.goal, 0);
+    const underBudget = isWithinGoal(net, saved, budget);
+
+    return `
+      <div class="history-month-card">
+        <div class="history-month-header" onclick="toggleHistoryMonth('archive-${year}', this)">
+          <span class="history-month-name">${fmtBudgetYear(year)}</span>
+          <div class="history-month-summary">
+            <div class="history-month-spent ${underBudget ? 'under' : ''}">
+              ${underBudget ? '' : 'Over '}${fmtMoney(net)}
+            </div>
+            <div class="history-month-goal">Budget: ${fmtMoney(budget)}</div>
+          </div>
+          <span class="history-month-chevron">&#8250;</span>
+        </div>
+        <div class="history-transactions" id="hist-archive-${year}">
+          ${keys.map(k => renderArchivedMonth(k, data.archive[k])).join('')}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+function renderArchivedMonth(key, month) {
+  const net = month.spent - month.income;
+  const txs = month.transactions || [];
+  return `
+    <div class="archive-month">
+      <div class="archive-month-row${txs.length ? ' expandable' : ''}" ${txs.length ? `onclick="toggleHistoryMonth('archive-${key}', this)"` : ''}>
+        <span class="archive-month-name">${fmtMonthLabel(key)}</span>
+        <span class="archive-month-totals">
+          <span class="${isWithinGoal(net, month.saved, month.goal) ? 'under' : 'over'}">${fmtMoney(net)}</span>
+          <span class="archive-month-goal">of ${fmtMoney(month.goal)} · ${month.count} tx</span>
+        </span>
+      </div>
+      ${txs.length === 0 ? '' : `
+        <div class="history-transactions" id="hist-archive-${key}">
+          ${txs.map(tx => {
+            const typeClass = txTypeClass(tx);
+            return `
+              <div class="transaction-item readonly">
+                <div class="transaction-info">
+                  <div class="transaction-desc">${escapeHtml(tx.description)}</div>
+                  <div class="transaction-date">${fmtDate(tx.date)} · ${escapeHtml(txDetail(tx))}</div>
+                </div>
+                <div class="transaction-amount ${typeClass}">${fmtTxAmount(tx)}${renderOriginalAmount(tx)}</div>
+              </div>
+            `;
+          }).join('')}
+        </div>
+      `}
+    </div>
+  `;
+}
+
+// ─── Trend Charts ─────────────────────────────────────────
+// Plain SVG strings sized by viewBox; colours come from CSS classes so the
+// charts follow the light/dark theme like everything else.
+const CHART_W = 320;
+const CHART_H = 160;
+const CHART_PAD = { top: 10, right: 8, bottom: 22, left: 44 };
+const TREND_MONTHS = 12;
+
+/** The last TREND_MONTHS months up to and including the current one, oldest first. */
+function calcTrendMonths() {
+  const summaries = calcMonthSummaries();
+  return Object.keys(summaries).sort().slice(-TREND_MONTHS)
+    .map(key => Object.assign({ key }, summaries[key]));
+}
+
+/** Running net spend through each month of `year` that has data. */
+function calcYearToDate(year) {
+  const summaries = calcMonthSummaries();
+  let total = 0;
+  return Object.keys(summaries).filter(key => budgetYearOf(key) === year).sort()
+    .map(key => {
+      total += summaries[key].net;
+      return { key, total };
+    });
+}
+
+/** Round up to 1, 2 or 5 × a power of ten. */
+function niceCeil(n) {
+  if (n <= 0) return 0;
+  const pow = Math.pow(10, Math.floor(Math.log10(n)));
+  const step = [1, 2, 5, 10].find(f => f * pow >= n);
+  return step * pow;
+}
+
+function fmtCompactCurrency(n) {
+  const sign = n < 0 ? '-' : '';
+  const abs = Math.abs(n);
+  const fmt = (v, suffix) => sign + withCurrencySymbol(v.toLocaleString(data.settings.locale, { maximumFractionDigits: 1 }) + suffix);
+  if (abs >= 1000000) return fmt(abs / 1000000, 'M');
+  if (abs >= 1000) return fmt(abs / 1000, 'k');
+  return fmt(Math.round(abs), '');
+}
+
+function fmtShortMonth(monthKey) {
+  const [year, month] = monthKey.split('-');
+  return new Date(parseInt(year), parseInt(month) - 1, 1).toLocaleDateString(data.settings.locale, { month: 'short' });
+}
+
+/** Y scale and gridlines for values spanning [min, max], with zero always included. */
+function chartScale(values) {
+  const max = niceCeil(Math.max(0, ...values)) || 1;
+  const min = -niceCeil(-Math.min(0, ...values));
+  const plotH = CHART_H - CHART_PAD.top - CHART_PAD.bottom;
+  const y = (v) => CHART_PAD.top + (max - v) / (max - min) * plotH;
+
+  const ticks = min < 0 ? [min, 0, max] : [0, max / 2, max];
+  const grid = ticks.map(t => `
+    <line class="chart-grid" x1="${CHART_PAD.left}" x2="${CHART_W - CHART_PAD.right}" y1="${y(t)}" y2="${y(t)}"/>
+    <text class="chart-axis-label" x="${CHART_PAD.left - 6}" y="${y(t) + 3}" text-anchor="end">${fmtCompactCurrency(t)}</text>
+  `).join('');
+  return { y, grid };
+}
+
+/** Centre x of slot i of n evenly spaced slots, and the slot width. */
+function chartSlot(i, n) {
+  const width = (CHART_W - CHART_PAD.left - CHART_PAD.right) / n;
+  return { x: CHART_PAD.left + width * (i + 0.5), width };
+}
+
+function chartMonthLabels(keys, n = keys.length) {
+  return keys.map((key, i) =>
+    `<text class="chart-axis-label" x="${chartSlot(i, n).x}" y="${CHART_H - 6}" text-anchor="middle">${fmtShortMonth(key)}</text>`
+  ).join('');
+}
+
+function svgChart(label, inner) {
+  return `<svg class="trend-chart" viewBox="0 0 ${CHART_W} ${CHART_H}" role="img" aria-label="${escapeHtml(label)}">${inner}</svg>`;
+}
+
+function renderTrendCharts() {
+  const section = document.getElementById('trendsSection');
+  const months = calcTrendMonths();
+  if (months.length < 2) {
+    section.style.display = 'none';
+    return;
+  }
+  section.style.display = '';
+
+  renderNetVsGoalChart(months);
+  renderIncomeExpenseChart(months);
+  renderTrendYearOptions();
+  renderYearToDateChart();
+}
+
+/** Bars for each month's net spend, with the month's goal as a line. */
+function renderNetVsGoalChart(months) {
+  const { y, grid } = chartScale(months.flatMap(m => [m.net, m.goal]));
+  const bars = months.map((m, i) => {
+    const { x, width } = chartSlot(i, months.length);
+    const top = Math.min(y(m.net), y(0));
+    const status = isWithinGoal(m.net, m.saved, m.goal) ? 'under' : 'over';
+    return `<rect class="chart-bar ${status}${m.current ? ' current' : ''}" x="${x - width * 0.3}" y="${top}"
+      width="${width * 0.6}" height="${Math.abs(y(m.net) - y(0))}" rx="2"><title>${fmtMonthLabel(m.key)}: ${m.net < 0 ? '-' : ''}${fmtMoney(m.net)} of ${fmtMoney(m.goal)}</title></rect>`;
+  }).join('');
+  const points = months.map((m, i) => `${chartSlot(i, months.length).x},${y(m.goal)}`);
+  const goalLine = `<polyline class="chart-line goal" points="${points.join(' ')}"/>` +
+    points.map(p => `<circle class="chart-dot goal" cx="${p.split(',')[0]}" cy="${p.split(',')[1]}" r="2.5"/>`).join('');
+
+  document.getElementById('chartNetVsGoal').innerHTML =
+    svgChart('Monthly net spend compared with goal', grid + bars + goalLine + chartMonthLabels(months.map(m => m.key)));
+}
+
+/** Side-by-side expense and income bars per month. */
+function renderIncomeExpenseChart(months) {
+  const { y, grid } = chartScale(months.flatMap(m => [m.spent, m.income]));
+  const bars = months.map((m, i) => {
+    const { x, width } = chartSlot(i, months.length);
+    const w = width * 0.35;
+    return `
+      <rect class="chart-bar expense" x="${x - w}" y="${y(m.spent)}" width="${w}" height="${y(0) - y(m.spent)}" rx="1.5"><title>${fmtMonthLabel(m.key)} spent: ${fmtMoney(m.spent)}</title></rect>
+      <rect class="chart-bar income" x="${x}" y="${y(m.income)}" width="${w}" height="${y(0) - y(m.income)}" rx="1.5"><title>${fmtMonthLabel(m.key)} income: ${fmtMoney(m.income)}</title></rect>
+    `;
+  }).join('');
+
+  document.getElementById('chartIncomeExpense').innerHTML =
+    svgChart('Monthly income compared with expenses', grid + bars + chartMonthLabels(months.map(m => m.key)));
+}
+
+function renderTrendYearOptions() {
+  const select = document.getElementById('trendYear');
+  const years = [...new Set(Object.keys(calcMonthSummaries()).map(budgetYearOf))].sort().reverse();
+  const selected = parseInt(select.value, 10);
+  select.innerHTML = years.map(y => `<option value="${y}">${fmtBudgetYear(y)}</option>`).join('');
+  select.value = years.includes(selected) ? selected : years[0];
+}
+
+/** Cumulative net spend through the year against that year's budget. */
+function renderYearToDateChart() {
+  const year = parseInt(document.getElementById('trendYear').value, 10);
+  const points = calcYearToDate(year);
+  const budget = data.yearEnds[year] ? data.yearEnds[year].annualBudget : calcAnnualBudget(year);
+  const { y, grid } = chartScale([budget, ...points.map(p => p.total)]);
+
+  const coords = points.map(p => `${chartSlot(budgetMonthIndex(p.key), 12).x},${y(p.total)}`);
+  const last = points[points.length - 1];
+  const status = last && last.total > budget ? 'over' : 'under';
+  const budgetLine = budget > 0
+    ? `<line class="chart-line budget" x1="${CHART_PAD.left}" x2="${CHART_W - CHART_PAD.right}" y1="${y(budget)}" y2="${y(budget)}"/>`
+    : '';
+  const line = `<polyline class="chart-line ytd ${status}" points="${coords.join(' ')}"/>` +
+    points.map((p, i) => `<circle class="chart-dot ytd ${status}" cx="${coords[i].split(',')[0]}" cy="${coords[i].split(',')[1]}" r="2.5"><title>${fmtMonthLabel(p.key)}: ${p.total < 0 ? '-' : ''}${fmtMoney(p.total)}</title></circle>`).join('');
+  let key = `${year}-${String(data.settings.yearStartMonth).padStart(2, '0')}`;
+  const allMonths = [];
+  for (let i = 0; i < 12; i++, key = nextMonthKey(key)) allMonths.push(key);
+
+  document.getElementById('chartYearToDate').innerHTML =
+    svgChart(`Year-to-date net spend for ${fmtBudgetYear(year)} compared with budget`, grid + budgetLine + line + chartMonthLabels(allMonths));
+}
+
 function toggleHistoryMonth(key, headerEl) {
   const txsEl = document.getElementById(`hist-${key}`);
   const isOpen = txsEl.classList.contains('open');
@@ -316,7 +1616,22 @@ function toggleHistoryMonth(key, headerEl) {
 
 function renderSettings() {
   document.getElementById('annualBudget').value = data.settings.annualBudget || '';
+  document.getElementById('carryOverToggle').checked = data.settings.carryOver;
+  document.getElementById('yearStartMonth').value = String(data.settings.yearStartMonth);
+  document.getElementById('periodMode').value = data.settings.periodMode;
+  document.getElementById('periodAnchor').value = data.settings.periodAnchor;
+  document.getElementById('historyYears').value = data.settings.historyYears === null ? 'forever' : String(data.settings.historyYears);
+  document.getElementById('archiveTransactionsToggle').checked = data.settings.archiveTransactions;
+  renderDisplaySettings();
+  renderExchangeRateSettings();
+  renderProfileSettings();
   updateSettingsMonthlyDisplay();
+  renderCategorySettings();
+  renderAccountSettings();
+  renderSavingsGoalSettings();
+  renderAlertSettings();
+  renderRecurringSettings();
+  renderStorageInfo();
 }
 
 function updateSettingsMonthlyDisplay() {
@@ -324,38 +1639,65 @@ function updateSettingsMonthlyDisplay() {
   const hint = document.getElementById('suggestedMonthly');
   const computed = document.getElementById('computedMonthly');
 
+  const mode = data.settings.periodMode;
+  document.getElementById('computedBudgetLabel').textContent = `${PERIOD_TITLES[mode]}'s Budget`;
+  document.getElementById('periodAnchorRow').style.display = mode === 'weekly' || mode === 'biweekly' ? '' : 'none';
+  if (mode !== 'monthly' && data.settings.annualBudget > 0) {
+    const period = currentPeriod();
+    const periods = periodsInBudgetYear(budgetYearOf(period.start.slice(0, 7)));
+    const left = periods.length - Math.max(0, periods.findIndex(p => p.start === period.start));
+    computed.textContent = fmtMoney(calcPeriodGoal(period));
+    hint.textContent = `Remaining annual ÷ ${left} ${PERIOD_NOUNS[mode]}${left !== 1 ? 's' : ''} remaining`;
+    updateCarryOverHint();
+    return;
+  }
+
   // Show the live calculated monthly budget
   const monthlyGoal = calcDynamicMonthlyGoal();
   if (data.settings.annualBudget > 0) {
-    computed.textContent = `$${fmtCurrency(monthlyGoal)}`;
+    computed.textContent = `${fmtMoney(monthlyGoal)}`;
     const monthsLeft = calcMonthsRemainingInYear();
     hint.textContent = `Remaining annual ÷ ${monthsLeft} month${monthsLeft !== 1 ? 's' : ''} remaining`;
   } else if (annual > 0) {
     // Annual entered but not yet saved
     const tempMonthly = annual / calcMonthsRemainingInYear();
-    computed.textContent = `$${fmtCurrency(tempMonthly)}`;
+    computed.textContent = `${fmtMoney(tempMonthly)}`;
     const monthsLeft = calcMonthsRemainingInYear();
     hint.textContent = `Annual ÷ ${monthsLeft} month${monthsLeft !== 1 ? 's' : ''} remaining`;
   } else {
     computed.textContent = '—';
     hint.textContent = 'Set an annual budget to calculate';
   }
+  updateCarryOverHint();
+}
+
+function updateCarryOverHint() {
+  const hint = document.getElementById('carryOverHint');
+  const year = budgetYearOf(data.currentMonth);
+  const prev = data.yearEnds[year - 1];
+  if (!prev) {
+    const startName = new Date(year + 1, data.settings.yearStartMonth - 1, 1)
+      .toLocaleDateString(data.settings.locale, { month: 'long' });
+    hint.textContent = `Applies from ${startName} – ${fmtBudgetYear(year)} will be carried into ${fmtBudgetYear(year + 1)}`;
+    return;
+  }
+  const label = prev.remaining >= 0 ? 'surplus' : 'deficit';
+  hint.textContent = `${fmtBudgetYear(year - 1)} ended with a ${fmtMoney(prev.remaining)} ${label}` +
+    (data.settings.carryOver ? ` – included in this year's budget` : '');
 }
 
 function renderHeaderMonth() {
   const d = new Date();
   document.getElementById('headerMonth').textContent =
-    d.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    d.toLocaleDateString(data.settings.locale, { month: 'long', year: 'numeric' });
 }
 
 // ─── Transaction Management ───────────────────────────────
-function generateId() {
-  return Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
-}
-
 function addTransaction() {
   const amountEl = document.getElementById('amountInput');
   const descEl = document.getElementById('descriptionInput');
+  const categoryEl = document.getElementById('categoryInput');
+  const account = document.getElementById('accountInput').value;
   const raw = parseFloat(amountEl.value);
 
   if (isNaN(raw) || raw <= 0) {
@@ -364,7 +1706,7 @@ function addTransaction() {
     return;
   }
 
-  const amount = parseFloat(raw.toFixed(2));
+  const { amount, original } = convertEntered(parseFloat(raw.toFixed(2)), document.getElementById('currencyInput').value);
   const description = descEl.value.trim() || (isIncomeMode ? 'Income' : 'Expense');
   const now = new Date();
 
@@ -373,31 +1715,39 @@ function addTransaction() {
     date: now.toISOString().split('T')[0],
     time: now.toTimeString().slice(0, 5),
     amount: isIncomeMode ? amount : -amount,
-    description
+    description,
+    category: categoryEl.value
   };
+  if (account) tx.account = account;
+  if (original) tx.original = original;
 
   data.transactions.unshift(tx);
+  recordChanges('add', [{ before: null, after: txState(tx, data.currentMonth) }]);
   saveData();
 
   amountEl.value = '';
   descEl.value = '';
+  categoryEl.value = '';
   amountEl.blur();
+  updateConversionHints();
 
   renderBudgetHero();
+  renderCategoryBudgets();
+  renderAccounts();
   renderTransactionsList();
-  showToast(isIncomeMode ? `+$${fmtCurrency(amount)} added` : `-$${fmtCurrency(amount)} recorded`);
+  renderCategoryBreakdown();
+  checkBudgetAlerts();
+  showToast(isIncomeMode ? `+${fmtMoney(amount)} added` : `-${fmtMoney(amount)} recorded`, UNDO_ACTION);
 }
 
 function deleteTransaction(id, monthKey = null) {
-  if (monthKey && data.history[monthKey]) {
-    data.history[monthKey].transactions =
-      data.history[monthKey].transactions.filter(t => t.id !== id);
-  } else {
-    data.transactions = data.transactions.filter(t => t.id !== id);
-  }
+  const before = txState(findTransactionIn(id, monthKey), monthKey || data.currentMonth);
+  removeTransactionFromBucket(id, monthKey);
+  if (before) recordChanges('delete', [{ before, after: null }]);
   saveData();
+  cleanupOrphanAttachments();
   renderAfterEdit();
-  showToast('Transaction removed');
+  showToast('Transaction removed', UNDO_ACTION);
 }
 
 function toggleTransactionType() {
@@ -421,230 +1771,2624 @@ function toggleTransactionType() {
   }
 }
 
-function setQuickAmount(n) {
-  document.getElementById('amountInput').value = n;
-  document.getElementById('amountInput').focus();
+function setQuickAmount(n) {
+  document.getElementById('amountInput').value = n;
+  document.getElementById('amountInput').focus();
+}
+
+// ─── Edit Transaction ─────────────────────────────────────
+/** monthKey: null = current month, 'YYYY-MM' = history bucket */
+function openEditTx(id, monthKey = null) {
+  const tx = monthKey
+    ? (data.history[monthKey]?.transactions || []).find(t => t.id === id)
+    : data.transactions.find(t => t.id === id);
+  if (!tx) return;
+  if (isTransfer(tx)) {
+    openTransferSheet(tx, monthKey || null);
+    return;
+  }
+  if (isContribution(tx)) {
+    openContributionSheet(tx, monthKey || null);
+    return;
+  }
+
+  editingTxId = id;
+  editingTxMonth = monthKey || null;
+  editIsIncome = tx.amount > 0;
+
+  renderCurrencyOptions(tx.original ? tx.original.currency : null);
+  document.getElementById('editAmount').value = tx.original ? tx.original.amount : Math.abs(tx.amount);
+  document.getElementById('editCurrency').value = tx.original ? tx.original.currency : '';
+  updateConversionHints();
+  document.getElementById('editDescription').value = tx.description;
+  document.getElementById('editDate').value = tx.date;
+  document.getElementById('editCategory').value = findCategory(tx.category) ? tx.category : '';
+  document.getElementById('editAccount').value = findAccount(tx.account) ? tx.account : '';
+  editSplits = tx.splits
+    ? tx.splits.map(part => ({ amount: Math.abs(part.amount), category: part.category, description: part.description }))
+    : null;
+  renderEditSplits();
+  document.getElementById('editNote').value = tx.note || '';
+  renderSheetPhoto('edit', id);
+
+  setEditType(editIsIncome ? 'income' : 'expense');
+
+  document.getElementById('editOverlay').classList.add('open');
+  setTimeout(() => document.getElementById('editAmount').select(), 100);
+}
+
+function setEditType(type) {
+  editIsIncome = (type === 'income');
+  applyTypeToggle('editTypeExpense', 'editTypeIncome', 'editSaveBtn', editIsIncome);
+}
+
+/** Highlight one side of an Expense / Income segmented toggle in a bottom sheet. */
+function applyTypeToggle(expBtnId, incBtnId, saveBtnId, isIncome) {
+  const expBtn = document.getElementById(expBtnId);
+  const incBtn = document.getElementById(incBtnId);
+  const saveBtn = document.getElementById(saveBtnId);
+
+  expBtn.classList.remove('active', 'expense-active', 'income-active');
+  incBtn.classList.remove('active', 'expense-active', 'income-active');
+
+  if (isIncome) {
+    incBtn.classList.add('active', 'income-active');
+    saveBtn.style.background = 'var(--success)';
+  } else {
+    expBtn.classList.add('active', 'expense-active');
+    saveBtn.style.background = '';
+  }
+}
+
+function saveEditTx() {
+  if (!editingTxId) return;
+
+  const raw = parseFloat(document.getElementById('editAmount').value);
+  if (isNaN(raw) || raw <= 0) {
+    showToast('Please enter a valid amount');
+    return;
+  }
+
+  const entered = parseFloat(raw.toFixed(2));
+  const currency = document.getElementById('editCurrency').value;
+  const description = document.getElementById('editDescription').value.trim() || (editIsIncome ? 'Income' : 'Expense');
+  const newDate = document.getElementById('editDate').value;
+  const category = document.getElementById('editCategory').value;
+  const account = document.getElementById('editAccount').value;
+  const note = document.getElementById('editNote').value.trim();
+
+  // Source bucket
+  const srcMonthKey = editingTxMonth;  // null = current month
+  let srcTx;
+  if (srcMonthKey) {
+    srcTx = (data.history[srcMonthKey]?.transactions || []).find(t => t.id === editingTxId);
+  } else {
+    srcTx = data.transactions.find(t => t.id === editingTxId);
+  }
+  if (!srcTx) return;
+
+  // Same currency keeps the rate it was recorded at; a new currency uses today's table
+  const keepRate = srcTx.original && srcTx.original.currency === currency ? srcTx.original.rate : null;
+  const { amount, original } = convertEntered(entered, currency, keepRate);
+
+  const splitError = editSplits && checkEditSplits(amount);
+  if (splitError) {
+    showToast(splitError);
+    return;
+  }
+
+  // Destination bucket
+  const destMonthKey = newDate ? newDate.slice(0, 7) : (srcMonthKey || data.currentMonth);
+  const moving = destMonthKey !== (srcMonthKey || data.currentMonth);
+
+  const updatedTx = {
+    id: srcTx.id,
+    date: newDate || srcTx.date,
+    time: srcTx.time || '',
+    amount: editIsIncome ? amount : -amount,
+    description,
+    category: editSplits ? '' : category
+  };
+  if (srcTx.recurringId) updatedTx.recurringId = srcTx.recurringId;
+  if (editSplits) {
+    updatedTx.splits = editSplits.map(part => ({
+      amount: editIsIncome ? part.amount : -part.amount,
+      category: part.category,
+      description: part.description.trim()
+    }));
+  }
+  if (account) updatedTx.account = account;
+  if (note) updatedTx.note = note;
+  if (original) updatedTx.original = original;
+  recordChanges(moving ? 'move' : 'edit', [{
+    before: txState(srcTx, srcMonthKey || data.currentMonth),
+    after: txState(updatedTx, destMonthKey)
+  }]);
+  saveSheetPhoto('edit', updatedTx.id);
+
+  if (moving) {
+    // Remove from source
+    removeTransactionFromBucket(editingTxId, srcMonthKey);
+
+    // Add to destination
+    addTransactionToBucket(updatedTx);
+
+    saveData();
+    closeEditModal();
+    renderAfterEdit();
+    showToast('Transaction moved to ' + fmtMonthLabel(destMonthKey), UNDO_ACTION);
+  } else {
+    // Same bucket — update in place
+    delete srcTx.original;
+    delete srcTx.account;
+    delete srcTx.splits;
+    delete srcTx.note;
+    Object.assign(srcTx, updatedTx);
+
+    saveData();
+    closeEditModal();
+    renderAfterEdit();
+    showToast('Transaction updated', UNDO_ACTION);
+  }
+}
+
+function deleteEditTx() {
+  if (!editingTxId) return;
+  const id = editingTxId;
+  const monthKey = editingTxMonth;
+  closeEditModal();
+  setTimeout(() => confirmDeleteTx(id, monthKey), 320);
+}
+
+function closeEditModal() {
+  document.getElementById('editOverlay').classList.remove('open');
+  editingTxId = null;
+  editingTxMonth = null;
+  editSplits = null;
+  clearSheetPhoto('edit');
+}
+
+/** Re-render everything that can change after an edit or delete. */
+function renderAfterEdit() {
+  checkBudgetAlerts();
+  renderBudgetHero();
+  renderCategoryBudgets();
+  renderAccounts();
+  renderSavingsGoals();
+  renderTransactionsList();
+  renderCategoryBreakdown();
+  renderHistory();
+  renderSearchResults();
+}
+
+// ─── Split Transactions ───────────────────────────────────
+// tx.splits divides one transaction (one receipt) into lines with their own
+// category and description: [{ amount, category, description }], signed like
+// tx.amount and adding up to it. Category totals and envelopes count each line;
+// tx.category is left empty.
+
+/** Base-currency total the edit sheet's split lines have to add up to. */
+function editSplitTarget() {
+  const entered = parseFloat(document.getElementById('editAmount').value) || 0;
+  const currency = document.getElementById('editCurrency').value;
+  const editTx = editingTxId ? findTransactionIn(editingTxId, editingTxMonth) : null;
+  const keepRate = editTx && editTx.original && editTx.original.currency === currency ? editTx.original.rate : null;
+  return convertEntered(parseFloat(entered.toFixed(2)), currency, keepRate).amount;
+}
+
+function startEditSplit() {
+  const target = editSplitTarget();
+  editSplits = [
+    { amount: target || '', category: document.getElementById('editCategory').value, description: '' },
+    { amount: '', category: '', description: '' }
+  ];
+  renderEditSplits();
+}
+
+function addEditSplitLine() {
+  editSplits.push({ amount: '', category: '', description: '' });
+  renderEditSplits();
+}
+
+function removeEditSplitLine(index) {
+  editSplits.splice(index, 1);
+  if (editSplits.length < 2) editSplits = null;   // one line left is just the transaction again
+  renderEditSplits();
+}
+
+function setEditSplitField(index, field, value) {
+  editSplits[index][field] = field === 'amount' ? (parseFloat(value) || '') : value;
+  if (field === 'amount') updateEditSplitHint();
+}
+
+/** Why the split lines can't be saved, or null if they add up to total. */
+function checkEditSplits(total) {
+  if (editSplits.some(part => !(part.amount > 0))) return 'Enter an amount on every split line';
+  const sum = editSplits.reduce((s, part) => s + parseFloat(Number(part.amount).toFixed(2)), 0);
+  if (Math.abs(sum - total) >= 0.005) {
+    return `Split lines add up to ${fmtMoney(sum)} – the total is ${fmtMoney(total)}`;
+  }
+  return null;
+}
+
+function renderEditSplits() {
+  const section = document.getElementById('editSplitSection');
+  document.getElementById('editCategoryRow').style.display = editSplits ? 'none' : '';
+  document.getElementById('editSplitBtn').style.display = editSplits ? 'none' : '';
+  section.style.display = editSplits ? '' : 'none';
+  if (!editSplits) return;
+
+  const categoryOptions = (selected) => `<option value="">${UNCATEGORIZED_LABEL}</option>` +
+    data.settings.categories
+      .map(c => `<option value="${c.id}"${c.id === selected ? ' selected' : ''}>${escapeHtml(c.name)}</option>`)
+      .join('');
+
+  document.getElementById('editSplitList').innerHTML = editSplits.map((part, i) => `
+    <div class="split-line">
+      <div class="split-line-top">
+        <input
+          type="number"
+          class="split-amount"
+          value="${part.amount}"
+          placeholder="0.00"
+          inputmode="decimal"
+          min="0"
+          step="0.01"
+          aria-label="Line ${i + 1} amount"
+          oninput="setEditSplitField(${i}, 'amount', this.value)"
+        >
+        <select class="split-category" aria-label="Line ${i + 1} category" onchange="setEditSplitField(${i}, 'category', this.value)">
+          ${categoryOptions(findCategory(part.category) ? part.category : '')}
+        </select>
+        <button class="transaction-delete" onclick="removeEditSplitLine(${i})" aria-label="Remove line">&#215;</button>
+      </div>
+      <input
+        type="text"
+        class="split-description"
+        value="${escapeHtml(part.description)}"
+        placeholder="Line description (optional)"
+        autocomplete="off"
+        oninput="setEditSplitField(${i}, 'description', this.value)"
+      >
+    </div>
+  `).join('');
+  updateEditSplitHint();
+}
+
+function updateEditSplitHint() {
+  if (!editSplits) return;
+  const hint = document.getElementById('editSplitHint');
+  const target = editSplitTarget();
+  const left = target - editSplits.reduce((s, part) => s + (Number(part.amount) || 0), 0);
+  const settled = Math.abs(left) < 0.005;
+  hint.classList.toggle('over', left < -0.005);
+  hint.textContent = settled
+    ? `Lines add up to ${fmtMoney(target)}`
+    : left > 0
+      ? `${fmtMoney(left)} left to assign`
+      : `${fmtMoney(left)} more than the total`;
+}
+
+// ─── Attachments ──────────────────────────────────────────
+// Receipt photos live in the "attachments" store keyed by transaction id, so
+// they never bloat the data saved on every change. A photo is removed once its
+// transaction is gone from both the data and the undo history – undoing a
+// delete brings the photo back with it. Notes are plain text on tx.note.
+const PHOTO_MAX_SIZE = 1600;   // longest side in pixels after downscaling
+let attachmentIds = new Set(); // transaction ids that have a photo
+const photoUrls = {};          // element id → object URL currently shown
+
+function hasAttachment(tx) {
+  return attachmentIds.has(tx.id) || !!tx.note;
+}
+
+/** Small 📎 button for list rows that opens the photo and note. */
+function renderAttachmentBadge(tx, keyArg = '') {
+  if (!hasAttachment(tx)) return '';
+  return `<button class="transaction-attachment" onclick="event.stopPropagation(); openAttachmentViewer('${tx.id}'${keyArg})" aria-label="View receipt">&#128206;</button>`;
+}
+
+async function getAttachment(id) {
+  if (!db || !attachmentIds.has(id)) return null;
+  try {
+    return (await idbRequest(db.transaction('attachments').objectStore('attachments').get(id))) || null;
+  } catch (e) {
+    console.warn('Failed to read attachment:', e);
+    return null;
+  }
+}
+
+/** blob: the new photo, or null to remove it. */
+async function saveAttachment(id, blob) {
+  if (!db) return;
+  try {
+    const t = db.transaction('attachments', 'readwrite');
+    if (blob) t.objectStore('attachments').put({ id, type: blob.type, blob, addedAt: new Date().toISOString() });
+    else t.objectStore('attachments').delete(id);
+    await idbTransactionDone(t);
+    if (blob) attachmentIds.add(id);
+    else attachmentIds.delete(id);
+    renderAfterEdit();
+  } catch (e) {
+    console.warn('Failed to save attachment:', e);
+    showToast('Storage error – photo not saved');
+  }
+}
+
+/** Ids of every transaction that still exists or could come back through undo/redo. */
+function referencedTransactionIds() {
+  const ids = new Set();
+  const addAll = (d) => {
+    transactionListsOf(d).forEach(({ list }) => list.forEach(tx => ids.add(tx.id)));
+    Object.keys(d.archive || {}).forEach(key => (d.archive[key].transactions || []).forEach(tx => ids.add(tx.id)));
+  };
+  addAll(data);
+  undoStack.concat(redoStack).forEach(op => {
+    if (op.changes) {
+      op.changes.forEach(c => [c.before, c.after].forEach(state => { if (state) ids.add(state.tx.id); }));
+    } else {
+      addAll(op.before);
+      addAll(op.after);
+    }
+  });
+  return ids;
+}
+
+/** Drop photos whose transaction is gone for good. */
+async function cleanupOrphanAttachments() {
+  if (!db || loadError || attachmentIds.size === 0) return;
+  const keep = referencedTransactionIds();
+  const orphans = [...attachmentIds].filter(id => !keep.has(id));
+  if (orphans.length === 0) return;
+  try {
+    const t = db.transaction('attachments', 'readwrite');
+    orphans.forEach(id => t.objectStore('attachments').delete(id));
+    await idbTransactionDone(t);
+    orphans.forEach(id => attachmentIds.delete(id));
+  } catch (e) {
+    console.warn('Failed to remove unused photos:', e);
+  }
+}
+
+/** Scale a camera photo down to PHOTO_MAX_SIZE as JPEG; anything that can't be
+ *  decoded is kept as-is. */
+async function resizePhoto(file) {
+  try {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, PHOTO_MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+    return blob && blob.size < file.size ? blob : file;
+  } catch (e) {
+    return file;
+  }
+}
+
+/** Point an <img> at a blob, releasing whatever it showed before. */
+function showPhoto(imgId, blob) {
+  releasePhotoUrl(imgId);
+  const img = document.getElementById(imgId);
+  if (blob) {
+    photoUrls[imgId] = URL.createObjectURL(blob);
+    img.src = photoUrls[imgId];
+  }
+  img.style.display = blob ? '' : 'none';
+}
+
+function releasePhotoUrl(imgId) {
+  if (!photoUrls[imgId]) return;
+  URL.revokeObjectURL(photoUrls[imgId]);
+  delete photoUrls[imgId];
+  document.getElementById(imgId).removeAttribute('src');
+}
+
+// The edit, transfer and contribution sheets share one photo row layout, with
+// element ids prefixed by the sheet name ('editPhotoPreview', 'transferPhotoInput', …).
+
+/** Show the stored photo of transaction id (null for a new one) in a sheet. */
+async function renderSheetPhoto(sheet, id) {
+  sheetPhotos[sheet] = undefined;
+  sheetPhotoIds[sheet] = id;
+  document.getElementById(`${sheet}PhotoRow`).style.display = db ? '' : 'none';
+  showPhoto(`${sheet}PhotoPreview`, null);
+  document.getElementById(`${sheet}PhotoRemoveBtn`).style.display = 'none';
+  if (!id) return;
+  const record = await getAttachment(id);
+  if (sheetPhotoIds[sheet] !== id || sheetPhotos[sheet] !== undefined) return;   // sheet moved on while reading
+  showPhoto(`${sheet}PhotoPreview`, record && record.blob);
+  document.getElementById(`${sheet}PhotoRemoveBtn`).style.display = record ? '' : 'none';
+}
+
+function pickSheetPhoto(sheet, useCamera) {
+  const input = document.getElementById(`${sheet}PhotoInput`);
+  if (useCamera) input.setAttribute('capture', 'environment');
+  else input.removeAttribute('capture');
+  input.click();
+}
+
+async function onSheetPhotoChosen(sheet, event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  if (!file.type.startsWith('image/')) {
+    showToast('Please choose an image');
+    return;
+  }
+  sheetPhotos[sheet] = await resizePhoto(file);
+  showPhoto(`${sheet}PhotoPreview`, sheetPhotos[sheet]);
+  document.getElementById(`${sheet}PhotoRemoveBtn`).style.display = '';
+}
+
+function removeSheetPhoto(sheet) {
+  sheetPhotos[sheet] = null;
+  showPhoto(`${sheet}PhotoPreview`, null);
+  document.getElementById(`${sheet}PhotoRemoveBtn`).style.display = 'none';
+}
+
+/** Store (or remove) the photo chosen in a sheet, if it was changed. */
+function saveSheetPhoto(sheet, id) {
+  if (sheetPhotos[sheet] !== undefined) saveAttachment(id, sheetPhotos[sheet]);
+}
+
+function clearSheetPhoto(sheet) {
+  sheetPhotos[sheet] = undefined;
+  delete sheetPhotoIds[sheet];
+  releasePhotoUrl(`${sheet}PhotoPreview`);
+}
+
+async function openAttachmentViewer(id, monthKey = null) {
+  const tx = findTransactionIn(id, monthKey);
+  if (!tx) return;
+  const record = await getAttachment(id);
+
+  document.getElementById('attachmentTitle').textContent = tx.description;
+  document.getElementById('attachmentMeta').textContent = `${fmtDate(tx.date)}, ${tx.date.slice(0, 4)} · ${fmtTxAmount(tx)}`;
+  const note = document.getElementById('attachmentNote');
+  note.textContent = tx.note || '';
+  note.style.display = tx.note ? '' : 'none';
+  showPhoto('attachmentPhoto', record && record.blob);
+  document.getElementById('attachmentEditBtn').onclick = () => {
+    closeAttachmentViewer();
+    setTimeout(() => openEditTx(id, monthKey), 320);
+  };
+  document.getElementById('attachmentOverlay').classList.add('open');
+}
+
+function closeAttachmentViewer() {
+  document.getElementById('attachmentOverlay').classList.remove('open');
+  releasePhotoUrl('attachmentPhoto');
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/** { txId: { type, dataUrl } } for every photo of a transaction in the data. */
+async function exportAttachments() {
+  const out = {};
+  const live = referencedTransactionIds();
+  for (const id of attachmentIds) {
+    if (!live.has(id)) continue;
+    const record = await getAttachment(id);
+    if (record) out[id] = { type: record.type, dataUrl: await blobToDataUrl(record.blob) };
+  }
+  return out;
+}
+
+/** Store photos from an export bundle for transactions that exist after the import.
+ *  overwrite: false keeps photos already on this device (merge). */
+async function importAttachments(attachments, overwrite) {
+  if (!db || !attachments || typeof attachments !== 'object') return 0;
+  const live = referencedTransactionIds();
+  let count = 0;
+  for (const id of Object.keys(attachments)) {
+    const a = attachments[id];
+    if (!live.has(id) || (!overwrite && attachmentIds.has(id)) ||
+        !a || typeof a.dataUrl !== 'string' || !a.dataUrl.startsWith('data:image/')) continue;
+    try {
+      const blob = await (await fetch(a.dataUrl)).blob();
+      const t = db.transaction('attachments', 'readwrite');
+      t.objectStore('attachments').put({ id, type: blob.type, blob, addedAt: new Date().toISOString() });
+      await idbTransactionDone(t);
+      attachmentIds.add(id);
+      count++;
+    } catch (e) {
+      console.warn('Skipped an imported photo:', e);
+    }
+  }
+  return count;
+}
+
+// ─── Recurring Transactions ───────────────────────────────
+/** Next occurrence after today, or null once the item has ended. */
+function nextRecurringDate(rec) {
+  const today = toDateKey(new Date());
+  const horizon = toDateKey(addDays(new Date(), 400));
+  return recurringDatesBetween(rec, today, horizon)[0] || null;
+}
+
+/** Post recurring items that have come due, see postDueRecurring() in budget.js. */
+function postDueRecurring() {
+  const posted = BudgetEngine.postDueRecurring(data, new Date());
+  if (posted > 0) {
+    saveData();
+    showToast(`${posted} recurring transaction${posted !== 1 ? 's' : ''} posted`);
+  }
+  return posted;
+}
+
+function describeRecurringSchedule(rec) {
+  if (rec.schedule === 'monthly') return `Monthly on day ${rec.dayOfMonth}`;
+  const weekday = parseDateKey(rec.startDate).toLocaleDateString(data.settings.locale, { weekday: 'long' });
+  return `${RECURRING_SCHEDULES[rec.schedule]} on ${weekday}`;
+}
+
+function renderRecurringSettings() {
+  const list = document.getElementById('recurringList');
+
+  if (data.recurring.length === 0) {
+    list.innerHTML = '<div class="settings-hint">No recurring transactions</div>';
+    return;
+  }
+
+  list.innerHTML = data.recurring.map(rec => {
+    const isExpense = rec.amount < 0;
+    const typeClass = isExpense ? 'expense' : 'income';
+    const next = nextRecurringDate(rec);
+    return `
+      <div class="transaction-item recurring-item" onclick="openRecurringEditor('${rec.id}')">
+        <div class="transaction-info">
+          <div class="transaction-desc">${escapeHtml(rec.description)}</div>
+          <div class="transaction-date">${describeRecurringSchedule(rec)} · ${next ? 'next ' + fmtDate(next) : 'ended'}</div>
+        </div>
+        <div class="transaction-amount ${typeClass}">${isExpense ? '-' : '+'}${fmtMoney(rec.amount)}</div>
+      </div>
+    `;
+  }).join('');
+}
+
+/** id: null = create a new recurring item */
+function openRecurringEditor(id = null) {
+  const rec = id ? data.recurring.find(r => r.id === id) : null;
+  if (id && !rec) return;
+
+  editingRecurringId = id;
+  const today = toDateKey(new Date());
+
+  document.getElementById('recurringSheetTitle').textContent = rec ? 'Edit Recurring' : 'New Recurring';
+  document.getElementById('recurringAmount').value = rec ? Math.abs(rec.amount) : '';
+  document.getElementById('recurringDescription').value = rec ? rec.description : '';
+  document.getElementById('recurringCategory').value = rec && findCategory(rec.category) ? rec.category : '';
+  document.getElementById('recurringSchedule').value = rec ? rec.schedule : 'monthly';
+  document.getElementById('recurringDay').value = rec ? rec.dayOfMonth : parseDateKey(today).getDate();
+  document.getElementById('recurringStart').value = rec ? rec.startDate : today;
+  document.getElementById('recurringEnd').value = rec ? (rec.endDate || '') : '';
+  document.getElementById('recurringDeleteBtn').style.display = rec ? '' : 'none';
+
+  setRecurringType(rec && rec.amount > 0 ? 'income' : 'expense');
+  onRecurringScheduleChange();
+
+  document.getElementById('recurringOverlay').classList.add('open');
+}
+
+function setRecurringType(type) {
+  recurringIsIncome = (type === 'income');
+  applyTypeToggle('recurringTypeExpense', 'recurringTypeIncome', 'recurringSaveBtn', recurringIsIncome);
+}
+
+function onRecurringScheduleChange() {
+  const monthly = document.getElementById('recurringSchedule').value === 'monthly';
+  document.getElementById('recurringDayRow').style.display = monthly ? '' : 'none';
+  document.getElementById('recurringStartLabel').textContent = monthly ? 'Starts' : 'First date';
+}
+
+function saveRecurring() {
+  const raw = parseFloat(document.getElementById('recurringAmount').value);
+  if (isNaN(raw) || raw <= 0) {
+    showToast('Please enter a valid amount');
+    return;
+  }
+
+  const schedule = document.getElementById('recurringSchedule').value;
+  const dayOfMonth = parseInt(document.getElementById('recurringDay').value, 10);
+  const startDate = document.getElementById('recurringStart').value;
+  const endDate = document.getElementById('recurringEnd').value;
+
+  if (!startDate) {
+    showToast('Please choose a start date');
+    return;
+  }
+  if (schedule === 'monthly' && (isNaN(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31)) {
+    showToast('Day of month must be 1–31');
+    return;
+  }
+  if (endDate && endDate < startDate) {
+    showToast('End date is before the start date');
+    return;
+  }
+
+  const amount = parseFloat(raw.toFixed(2));
+  const fields = {
+    amount: recurringIsIncome ? amount : -amount,
+    description: document.getElementById('recurringDescription').value.trim() || (recurringIsIncome ? 'Income' : 'Expense'),
+    category: document.getElementById('recurringCategory').value,
+    schedule: RECURRING_SCHEDULES[schedule] ? schedule : 'monthly',
+    dayOfMonth: schedule === 'monthly' ? dayOfMonth : null,
+    startDate,
+    endDate: endDate || null
+  };
+
+  const existing = editingRecurringId && data.recurring.find(r => r.id === editingRecurringId);
+  if (existing) {
+    updateRecurring(existing, fields);
+  } else {
+    data.recurring.push(Object.assign({ id: generateId(), lastPosted: null }, fields));
+  }
+
+  saveData();
+  closeRecurringModal();
+  const posted = postDueRecurring();
+  renderRecurringSettings();
+  if (posted > 0) renderAfterEdit();
+  else showToast(existing ? 'Recurring transaction updated' : 'Recurring transaction added');
+}
+
+function deleteRecurringFromEditor() {
+  const rec = data.recurring.find(r => r.id === editingRecurringId);
+  if (!rec) return;
+  closeRecurringModal();
+  setTimeout(() => showConfirmModal(
+    'Delete Recurring',
+    `Stop "${rec.description}"? Transactions already posted are kept.`,
+    () => {
+      data.recurring = data.recurring.filter(r => r.id !== rec.id);
+      saveData();
+      renderRecurringSettings();
+      showToast('Recurring transaction removed');
+    }
+  ), 320);
+}
+
+function closeRecurringModal() {
+  document.getElementById('recurringOverlay').classList.remove('open');
+  editingRecurringId = null;
+}
+
+// ─── Categories ───────────────────────────────────────────
+/** Fill the add-card and edit-sheet pickers, keeping their current selection. */
+function renderCategoryOptions() {
+  const options = `<option value="">${UNCATEGORIZED_LABEL}</option>` +
+    data.settings.categories
+      .map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`)
+      .join('');
+
+  ['categoryInput', 'editCategory', 'recurringCategory'].forEach(elId => {
+    const select = document.getElementById(elId);
+    const selected = select.value;
+    select.innerHTML = options;
+    select.value = findCategory(selected) ? selected : '';
+  });
+}
+
+function renderCategorySettings() {
+  const list = document.getElementById('categoryList');
+  const cats = data.settings.categories;
+
+  if (cats.length === 0) {
+    list.innerHTML = '<div class="settings-hint">No categories – everything is Uncategorized</div>';
+    return;
+  }
+
+  list.innerHTML = cats.map(c => `
+    <div class="settings-row category-settings-row">
+      <input
+        type="text"
+        class="category-name-input"
+        value="${escapeHtml(c.name)}"
+        autocomplete="off"
+        onchange="renameCategory('${c.id}', this.value)"
+      >
+      <div class="settings-input-wrap category-budget-wrap${data.settings.currencyPosition === 'after' ? ' symbol-after' : ''}">
+        <span class="settings-currency">${escapeHtml(data.settings.currencySymbol)}</span>
+        <input
+          type="number"
+          class="settings-input"
+          value="${c.budget > 0 ? c.budget : ''}"
+          placeholder="Budget"
+          inputmode="decimal"
+          min="0"
+          step="0.01"
+          aria-label="${escapeHtml(c.name)} budget"
+          onchange="setCategoryBudget('${c.id}', this.value)"
+        >
+      </div>
+      <select class="category-period-select" aria-label="${escapeHtml(c.name)} budget period" onchange="setCategoryBudgetPeriod('${c.id}', this.value)">
+        <option value="monthly"${c.budgetPeriod !== 'annual' ? ' selected' : ''}>/mo</option>
+        <option value="annual"${c.budgetPeriod === 'annual' ? ' selected' : ''}>/yr</option>
+      </select>
+      <button class="transaction-delete" onclick="confirmDeleteCategory('${c.id}')" aria-label="Delete">&#215;</button>
+    </div>
+  `).join('');
+  renderCategoryAllocationHint();
+}
+
+function renderCategoryAllocationHint() {
+  const hint = document.getElementById('categoryAllocationHint');
+  const { envelopes, unallocated } = calcCategoryEnvelopes();
+  if (envelopes.length === 0) {
+    hint.textContent = 'Optional: give a category its own monthly or annual budget';
+    return;
+  }
+  const allocated = envelopes.reduce((s, e) => s + e.allocation, 0);
+  hint.textContent = unallocated.allocation < 0
+    ? `${fmtMoney(allocated)} allocated this month – ${fmtMoney(unallocated.allocation)} more than the monthly budget`
+    : `${fmtMoney(allocated)} allocated this month – ${fmtMoney(unallocated.allocation)} unallocated`;
+}
+
+/** Re-render everything that shows category names. */
+function renderAfterCategoryChange() {
+  renderCategoryOptions();
+  renderCategorySettings();
+  renderCategoryBudgets();
+  renderTransactionsList();
+  renderCategoryBreakdown();
+  renderHistory();
+}
+
+function addCategory() {
+  const input = document.getElementById('newCategoryInput');
+  const name = input.value.trim();
+  if (!name) {
+    input.focus();
+    showToast('Please enter a category name');
+    return;
+  }
+  if (data.settings.categories.some(c => c.name.toLowerCase() === name.toLowerCase())) {
+    showToast('Category already exists');
+    return;
+  }
+
+  data.settings.categories.push(newCategory(name));
+  saveData();
+  input.value = '';
+  renderAfterCategoryChange();
+  showToast(`Added "${name}"`);
+}
+
+function renameCategory(id, newName) {
+  const cat = findCategory(id);
+  if (!cat) return;
+  const name = newName.trim();
+  if (!name) {
+    renderCategorySettings();
+    showToast('Category name cannot be empty');
+    return;
+  }
+
+  cat.name = name;
+  saveData();
+  renderAfterCategoryChange();
+  showToast('Category renamed');
+}
+
+function setCategoryBudget(id, value) {
+  const cat = findCategory(id);
+  if (!cat) return;
+  const budget = parseFloat(value);
+  cat.budget = isNaN(budget) || budget < 0 ? 0 : parseFloat(budget.toFixed(2));
+  saveData();
+  renderCategoryAllocationHint();
+  renderCategoryBudgets();
+  showToast(cat.budget > 0 ? `${cat.name} budget set` : `${cat.name} budget removed`);
+}
+
+function setCategoryBudgetPeriod(id, period) {
+  const cat = findCategory(id);
+  if (!cat) return;
+  cat.budgetPeriod = period === 'annual' ? 'annual' : 'monthly';
+  saveData();
+  renderCategoryAllocationHint();
+  renderCategoryBudgets();
+}
+
+function confirmDeleteCategory(id) {
+  const cat = findCategory(id);
+  if (!cat) return;
+
+  showConfirmModal(
+    'Delete Category',
+    `Remove "${cat.name}"? Its transactions will become ${UNCATEGORIZED_LABEL}.`,
+    () => deleteCategory(id)
+  );
+}
+
+function deleteCategory(id) {
+  data.settings.categories = data.settings.categories.filter(c => c.id !== id);
+  forEachTransaction(tx => {
+    txParts(tx).forEach(part => {
+      if (part.category === id) part.category = '';
+    });
+  });
+  saveData();
+  renderAfterCategoryChange();
+  showToast('Category removed');
+}
+
+// ─── Accounts ─────────────────────────────────────────────
+// Accounts are optional: a transaction may name the account it was paid from
+// or into (tx.account). A transfer moves money between two accounts and is
+// stored once, as a negative amount leaving tx.account with tx.transferTo
+// naming the receiving account. Transfers are never spending or income, so
+// every budget calculation goes through budgetTransactions() (budget.js).
+function findAccount(id) {
+  if (!id) return null;
+  return data.settings.accounts.find(a => a.id === id) || null;
+}
+
+function getAccountName(id) {
+  const account = findAccount(id);
+  return account ? account.name : NO_ACCOUNT_LABEL;
+}
+
+/** Opening balance plus everything already compacted into the archive. */
+function calcAccountBaseBalance(account) {
+  return Object.keys(data.archive).reduce((s, key) => {
+    const accounts = data.archive[key].accounts;
+    return s + ((accounts && accounts[account.id]) || 0);
+  }, account.openingBalance);
+}
+
+/** Every live transaction touching the account, newest first, each with the
+ *  balance after it. */
+function accountRegister(account) {
+  const entries = [];
+  data.transactions.forEach(tx => {
+    if (accountChange(tx, account.id) !== 0) entries.push({ tx, monthKey: null });
+  });
+  Object.keys(data.history).forEach(key => {
+    (data.history[key].transactions || []).forEach(tx => {
+      if (accountChange(tx, account.id) !== 0) entries.push({ tx, monthKey: key });
+    });
+  });
+  // Lists are kept newest first, so ties on date and time keep that order
+  entries.sort((a, b) => b.tx.date.localeCompare(a.tx.date) || (b.tx.time || '').localeCompare(a.tx.time || ''));
+
+  let balance = calcAccountBaseBalance(account);
+  for (let i = entries.length - 1; i >= 0; i--) {
+    balance += accountChange(entries[i].tx, account.id);
+    entries[i].balance = balance;
+  }
+  return entries;
+}
+
+/** Fill the account pickers, keeping their current selection. */
+function renderAccountOptions() {
+  const accounts = data.settings.accounts;
+  const options = accounts.map(a => `<option value="${a.id}">${escapeHtml(a.name)}</option>`).join('');
+
+  ['accountInput', 'editAccount'].forEach(elId => {
+    const select = document.getElementById(elId);
+    const selected = select.value;
+    select.innerHTML = `<option value="">${NO_ACCOUNT_LABEL}</option>` + options;
+    select.value = findAccount(selected) ? selected : '';
+  });
+  ['transferFrom', 'transferTo'].forEach(elId => {
+    const select = document.getElementById(elId);
+    const selected = select.value;
+    select.innerHTML = options;
+    if (findAccount(selected)) select.value = selected;
+  });
+  document.getElementById('accountRow').style.display = accounts.length ? '' : 'none';
+  document.getElementById('editAccountRow').style.display = accounts.length ? '' : 'none';
+}
+
+function renderAccounts() {
+  const section = document.getElementById('accountsSection');
+  const accounts = data.settings.accounts;
+  section.style.display = accounts.length ? '' : 'none';
+  if (accounts.length === 0) return;
+
+  document.getElementById('transferBtn').style.display = accounts.length > 1 ? '' : 'none';
+  const list = document.getElementById('accountsList');
+  const openIds = new Set(accounts.map(a => a.id).filter(id => {
+    const el = document.getElementById(`hist-acct-${id}`);
+    return el && el.classList.contains('open');
+  }));
+
+  list.innerHTML = accounts.map(account => {
+    const register = accountRegister(account);
+    const balance = register.length ? register[0].balance : calcAccountBaseBalance(account);
+    const isOpen = openIds.has(account.id);
+
+    return `
+      <div class="history-month-card account-card">
+        <div class="history-month-header${isOpen ? ' open' : ''}" onclick="toggleHistoryMonth('acct-${account.id}', this)">
+          <span class="history-month-name">${escapeHtml(account.name)}</span>
+          <div class="history-month-summary">
+            <div class="history-month-spent ${balance >= 0 ? 'under' : ''}">${balance < 0 ? '-' : ''}${fmtMoney(balance)}</div>
+            <div class="history-month-goal">${register.length} transaction${register.length !== 1 ? 's' : ''}</div>
+          </div>
+          <span class="history-month-chevron">&#8250;</span>
+        </div>
+        <div class="history-transactions${isOpen ? ' open' : ''}" id="hist-acct-${account.id}">
+          ${register.length === 0
+            ? '<div class="empty-state">No transactions</div>'
+            : register.slice(0, SEARCH_RESULT_LIMIT).map(({ tx, monthKey, balance }) => {
+                const change = accountChange(tx, account.id);
+                const typeClass = txTypeClass(tx);
+                const keyArg = monthKey ? `, '${monthKey}'` : '';
+                return `
+                  <div class="transaction-item" onclick="openEditTx('${tx.id}'${keyArg})">
+                    <div class="transaction-info">
+                      <div class="transaction-desc">${escapeHtml(tx.description)}</div>
+                      <div class="transaction-date">${fmtDate(tx.date)} · ${escapeHtml(txDetail(tx))}</div>
+                    </div>
+                    <div class="search-amounts">
+                      <div class="transaction-amount ${typeClass}">${change < 0 ? '-' : '+'}${fmtMoney(change)}</div>
+                      <div class="search-running">${balance < 0 ? '-' : ''}${fmtMoney(balance)}</div>
+                    </div>
+                  </div>
+                `;
+              }).join('')}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+function renderAccountSettings() {
+  const list = document.getElementById('accountList');
+  const accounts = data.settings.accounts;
+
+  if (accounts.length === 0) {
+    list.innerHTML = '<div class="settings-hint">No accounts – add one to track balances and transfers</div>';
+    return;
+  }
+
+  list.innerHTML = accounts.map(a => `
+    <div class="settings-row category-settings-row">
+      <input
+        type="text"
+        class="category-name-input"
+        value="${escapeHtml(a.name)}"
+        autocomplete="off"
+        aria-label="Account name"
+        onchange="renameAccount('${a.id}', this.value)"
+      >
+      <div class="settings-input-wrap category-budget-wrap${data.settings.currencyPosition === 'after' ? ' symbol-after' : ''}">
+        <span class="settings-currency">${escapeHtml(data.settings.currencySymbol)}</span>
+        <input
+          type="number"
+          class="settings-input"
+          value="${a.openingBalance}"
+          placeholder="Opening"
+          inputmode="decimal"
+          step="0.01"
+          aria-label="${escapeHtml(a.name)} opening balance"
+          onchange="setAccountOpeningBalance('${a.id}', this.value)"
+        >
+      </div>
+      <button class="transaction-delete" onclick="confirmDeleteAccount('${a.id}')" aria-label="Delete">&#215;</button>
+    </div>
+  `).join('');
+}
+
+/** Re-render everything that shows account names or balances. */
+function renderAfterAccountChange() {
+  renderAccountOptions();
+  renderAccountSettings();
+  renderAccounts();
+  renderTransactionsList();
+  renderHistory();
+}
+
+function addAccount() {
+  const nameEl = document.getElementById('newAccountInput');
+  const openingEl = document.getElementById('newAccountOpening');
+  const name = nameEl.value.trim();
+  if (!name) {
+    nameEl.focus();
+    showToast('Please enter an account name');
+    return;
+  }
+  if (data.settings.accounts.some(a => a.name.toLowerCase() === name.toLowerCase())) {
+    showToast('Account already exists');
+    return;
+  }
+  const opening = parseFloat(openingEl.value);
+
+  data.settings.accounts.push({
+    id: generateId(),
+    name,
+    openingBalance: isNaN(opening) ? 0 : parseFloat(opening.toFixed(2))
+  });
+  saveData();
+  nameEl.value = '';
+  openingEl.value = '';
+  renderAfterAccountChange();
+  showToast(`Added "${name}"`);
+}
+
+function renameAccount(id, newName) {
+  const account = findAccount(id);
+  if (!account) return;
+  const name = newName.trim();
+  if (!name) {
+    renderAccountSettings();
+    showToast('Account name cannot be empty');
+    return;
+  }
+
+  account.name = name;
+  saveData();
+  renderAfterAccountChange();
+  showToast('Account renamed');
+}
+
+function setAccountOpeningBalance(id, value) {
+  const account = findAccount(id);
+  if (!account) return;
+  const opening = parseFloat(value);
+  account.openingBalance = isNaN(opening) ? 0 : parseFloat(opening.toFixed(2));
+  saveData();
+  renderAccounts();
+  showToast(`${account.name} opening balance set`);
+}
+
+function confirmDeleteAccount(id) {
+  const account = findAccount(id);
+  if (!account) return;
+
+  showConfirmModal(
+    'Delete Account',
+    `Remove "${account.name}"? Its transactions stay in your budget with ${NO_ACCOUNT_LABEL}.`,
+    () => deleteAccount(id)
+  );
+}
+
+function deleteAccount(id) {
+  data.settings.accounts = data.settings.accounts.filter(a => a.id !== id);
+  forEachTransaction(tx => {
+    if (tx.account === id) tx.account = '';
+    if (tx.transferTo === id) tx.transferTo = '';
+  });
+  saveData();
+  renderAfterAccountChange();
+  showToast('Account removed');
+}
+
+/** Unknown accounts are added; ones with the same name are matched. Returns
+ *  imported id → local id for the matched ones. */
+function mergeImportedAccounts(imported, addMissing = true) {
+  const idMap = {};
+  ((imported.settings && imported.settings.accounts) || []).forEach(account => {
+    if (findAccount(account.id)) return;
+    const sameName = data.settings.accounts.find(a => a.name.toLowerCase() === account.name.toLowerCase());
+    if (sameName) idMap[account.id] = sameName.id;
+    else if (addMissing) data.settings.accounts.push(Object.assign({}, account));
+  });
+  return idMap;
+}
+
+// ─── Transfers ────────────────────────────────────────────
+let editingTransferId = null;      // null = new transfer
+let editingTransferMonth = null;
+
+function openTransferSheet(tx = null, monthKey = null) {
+  const accounts = data.settings.accounts;
+  editingTransferId = tx ? tx.id : null;
+  editingTransferMonth = monthKey;
+  renderAccountOptions();
+
+  const fromEl = document.getElementById('transferFrom');
+  const toEl = document.getElementById('transferTo');
+  fromEl.value = tx && findAccount(tx.account) ? tx.account : accounts[0].id;
+  toEl.value = tx && findAccount(tx.transferTo) ? tx.transferTo
+    : (accounts.find(a => a.id !== fromEl.value) || accounts[0]).id;
+  document.getElementById('transferAmount').value = tx ? Math.abs(tx.amount) : '';
+  document.getElementById('transferDescription').value = tx ? tx.description : '';
+  document.getElementById('transferDate').value = tx ? tx.date : toDateKey(new Date());
+  document.getElementById('transferNote').value = tx ? tx.note || '' : '';
+  renderSheetPhoto('transfer', tx ? tx.id : null);
+  document.getElementById('transferSheetTitle').textContent = tx ? 'Edit Transfer' : 'Transfer';
+  document.getElementById('transferDeleteBtn').style.display = tx ? '' : 'none';
+
+  document.getElementById('transferOverlay').classList.add('open');
+  setTimeout(() => document.getElementById('transferAmount').focus(), 100);
+}
+
+function saveTransfer() {
+  const raw = parseFloat(document.getElementById('transferAmount').value);
+  const from = document.getElementById('transferFrom').value;
+  const to = document.getElementById('transferTo').value;
+  const date = document.getElementById('transferDate').value || toDateKey(new Date());
+
+  if (isNaN(raw) || raw <= 0) {
+    showToast('Please enter a valid amount');
+    return;
+  }
+  if (from === to) {
+    showToast('Choose two different accounts');
+    return;
+  }
+
+  const srcTx = editingTransferId ? findTransactionIn(editingTransferId, editingTransferMonth) : null;
+  const tx = {
+    id: srcTx ? srcTx.id : generateId(),
+    date,
+    time: srcTx ? srcTx.time || '' : new Date().toTimeString().slice(0, 5),
+    amount: -parseFloat(raw.toFixed(2)),
+    description: document.getElementById('transferDescription').value.trim() ||
+      `Transfer to ${getAccountName(to)}`,
+    category: '',
+    account: from,
+    transferTo: to
+  };
+  const note = document.getElementById('transferNote').value.trim();
+  if (note) tx.note = note;
+  const destMonthKey = date.slice(0, 7);
+
+  if (srcTx) {
+    recordChanges('edit', [{
+      before: txState(srcTx, editingTransferMonth || data.currentMonth),
+      after: txState(tx, destMonthKey)
+    }]);
+    removeTransactionFromBucket(srcTx.id, editingTransferMonth);
+  } else {
+    recordChanges('add', [{ before: null, after: txState(tx, destMonthKey) }]);
+  }
+  addTransactionToBucket(tx, destMonthKey);
+  saveSheetPhoto('transfer', tx.id);
+
+  saveData();
+  closeTransferModal();
+  renderAfterEdit();
+  showToast(srcTx ? 'Transfer updated' : `${fmtMoney(-tx.amount)} moved to ${getAccountName(to)}`, UNDO_ACTION);
+}
+
+function deleteTransferFromSheet() {
+  if (!editingTransferId) return;
+  const id = editingTransferId;
+  const monthKey = editingTransferMonth;
+  closeTransferModal();
+  setTimeout(() => confirmDeleteTx(id, monthKey), 320);
+}
+
+function closeTransferModal() {
+  document.getElementById('transferOverlay').classList.remove('open');
+  editingTransferId = null;
+  editingTransferMonth = null;
+  clearSheetPhoto('transfer');
+}
+
+// ─── Savings Goals ────────────────────────────────────────
+// Named goals (a vacation, car repairs) with a target amount and optional
+// target date. Money put aside is recorded as a contribution: a transaction
+// stored as a negative amount with tx.savingsGoal naming the goal. It comes
+// out of the month's remaining budget like spending does, but is left out of
+// spent/income totals, category breakdowns and charts.
+let editingContributionId = null;   // null = new contribution
+let editingContributionMonth = null;
+
+function findSavingsGoal(id) {
+  if (!id) return null;
+  return data.settings.savingsGoals.find(g => g.id === id) || null;
+}
+
+function getSavingsGoalName(id) {
+  const goal = findSavingsGoal(id);
+  return goal ? goal.name : NO_GOAL_LABEL;
+}
+
+/** Everything contributed to a goal, including months compacted into the archive. */
+function calcGoalSaved(goalId) {
+  let saved = Object.keys(data.archive).reduce((s, key) => {
+    const savings = data.archive[key].savings;
+    return s + ((savings && savings[goalId]) || 0);
+  }, 0);
+  forEachTransaction(tx => {
+    if (tx.savingsGoal === goalId) saved -= tx.amount;
+  });
+  return saved;
+}
+
+/** Months from the current month through the one the date falls in, at least 1. */
+function monthsUntil(dateKey) {
+  const [y, m] = data.currentMonth.split('-').map(n => parseInt(n, 10));
+  const [ty, tm] = dateKey.split('-').map(n => parseInt(n, 10));
+  return Math.max(1, (ty - y) * 12 + (tm - m) + 1);
+}
+
+/** Monthly contribution that reaches the target by its date, fixed for the
+ *  month like the monthly goal: (target − saved before this month) ÷ months
+ *  left. Null without a target date. */
+function calcSuggestedContribution(goal) {
+  if (!goal.targetDate) return null;
+  const savedThisMonth = calcSaved(data.transactions.filter(tx => tx.savingsGoal === goal.id));
+  const savedBefore = calcGoalSaved(goal.id) - savedThisMonth;
+  return Math.max(0, goal.target - savedBefore) / monthsUntil(goal.targetDate);
+}
+
+function renderSavingsGoals() {
+  const section = document.getElementById('savingsSection');
+  const goals = data.settings.savingsGoals;
+  section.style.display = goals.length ? '' : 'none';
+  if (goals.length === 0) return;
+
+  document.getElementById('savingsList').innerHTML = goals.map(goal => {
+    const saved = calcGoalSaved(goal.id);
+    const savedThisMonth = calcSaved(data.transactions.filter(tx => tx.savingsGoal === goal.id));
+    const suggested = calcSuggestedContribution(goal);
+    const reached = goal.target > 0 && saved >= goal.target;
+    const pct = goal.target > 0 ? Math.min(Math.max(0, saved) / goal.target * 100, 100) : 0;
+    const by = goal.targetDate ? ` · by ${fmtDate(goal.targetDate)}, ${goal.targetDate.slice(0, 4)}` : '';
+
+    return `
+      <div class="category-breakdown-row savings-goal-row" onclick="openContributionSheet(null, null, '${goal.id}')">
+        <div class="category-breakdown-top">
+          <span class="category-breakdown-name">${escapeHtml(goal.name)}</span>
+          <span class="envelope-status under">
+            ${reached ? 'Reached' : `${fmtMoney(goal.target - saved)} to go`}
+          </span>
+        </div>
+        <div class="category-breakdown-bar">
+          <div class="category-breakdown-fill savings" style="width:${pct}%"></div>
+        </div>
+        <div class="envelope-meta">${fmtMoney(saved)} of ${fmtMoney(goal.target)}${by}</div>
+        ${suggested && !reached ? `
+          <div class="envelope-meta">
+            Save ${fmtMoney(suggested)}/month · ${fmtMoney(savedThisMonth)} this month
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+function renderSavingsGoalSettings() {
+  const list = document.getElementById('savingsGoalList');
+  const goals = data.settings.savingsGoals;
+
+  if (goals.length === 0) {
+    list.innerHTML = '<div class="settings-hint">No savings goals – add one to put money aside for something</div>';
+    return;
+  }
+
+  list.innerHTML = goals.map(g => `
+    <div class="savings-goal-settings">
+      <div class="settings-row category-settings-row">
+        <input
+          type="text"
+          class="category-name-input"
+          value="${escapeHtml(g.name)}"
+          autocomplete="off"
+          aria-label="Goal name"
+          onchange="renameSavingsGoal('${g.id}', this.value)"
+        >
+        <div class="settings-input-wrap category-budget-wrap${data.settings.currencyPosition === 'after' ? ' symbol-after' : ''}">
+          <span class="settings-currency">${escapeHtml(data.settings.currencySymbol)}</span>
+          <input
+            type="number"
+            class="settings-input"
+            value="${g.target || ''}"
+            placeholder="Target"
+            inputmode="decimal"
+            min="0"
+            step="0.01"
+            aria-label="${escapeHtml(g.name)} target"
+            onchange="setSavingsGoalTarget('${g.id}', this.value)"
+          >
+        </div>
+        <button class="transaction-delete" onclick="confirmDeleteSavingsGoal('${g.id}')" aria-label="Delete">&#215;</button>
+      </div>
+      <div class="settings-row">
+        <label class="settings-label" for="goal-date-${g.id}">Target Date</label>
+        <input
+          type="date"
+          id="goal-date-${g.id}"
+          class="edit-date-input"
+          value="${g.targetDate || ''}"
+          onchange="setSavingsGoalDate('${g.id}', this.value)"
+        >
+      </div>
+    </div>
+  `).join('');
+}
+
+/** Re-render everything that shows goal names or progress. */
+function renderAfterSavingsGoalChange() {
+  renderSavingsGoalSettings();
+  renderSavingsGoals();
+  renderTransactionsList();
+  renderHistory();
+}
+
+function addSavingsGoal() {
+  const nameEl = document.getElementById('newSavingsGoalInput');
+  const targetEl = document.getElementById('newSavingsGoalTarget');
+  const dateEl = document.getElementById('newSavingsGoalDate');
+  const name = nameEl.value.trim();
+  const target = parseFloat(targetEl.value);
+  if (!name) {
+    nameEl.focus();
+    showToast('Please enter a goal name');
+    return;
+  }
+  if (isNaN(target) || target <= 0) {
+    targetEl.focus();
+    showToast('Please enter a target amount');
+    return;
+  }
+  if (data.settings.savingsGoals.some(g => g.name.toLowerCase() === name.toLowerCase())) {
+    showToast('Goal already exists');
+    return;
+  }
+
+  data.settings.savingsGoals.push({
+    id: generateId(),
+    name,
+    target: parseFloat(target.toFixed(2)),
+    targetDate: isValidDateKey(dateEl.value) ? dateEl.value : null
+  });
+  saveData();
+  nameEl.value = '';
+  targetEl.value = '';
+  dateEl.value = '';
+  renderAfterSavingsGoalChange();
+  showToast(`Added "${name}"`);
+}
+
+function renameSavingsGoal(id, newName) {
+  const goal = findSavingsGoal(id);
+  if (!goal) return;
+  const name = newName.trim();
+  if (!name) {
+    renderSavingsGoalSettings();
+    showToast('Goal name cannot be empty');
+    return;
+  }
+
+  goal.name = name;
+  saveData();
+  renderAfterSavingsGoalChange();
+  showToast('Goal renamed');
+}
+
+function setSavingsGoalTarget(id, value) {
+  const goal = findSavingsGoal(id);
+  if (!goal) return;
+  const target = parseFloat(value);
+  goal.target = isNaN(target) || target < 0 ? 0 : parseFloat(target.toFixed(2));
+  saveData();
+  renderSavingsGoals();
+  showToast(`${goal.name} target set`);
+}
+
+function setSavingsGoalDate(id, value) {
+  const goal = findSavingsGoal(id);
+  if (!goal) return;
+  goal.targetDate = isValidDateKey(value) ? value : null;
+  saveData();
+  renderSavingsGoals();
+  showToast(goal.targetDate ? `${goal.name} due ${fmtDate(goal.targetDate)}` : `${goal.name} has no target date`);
+}
+
+function confirmDeleteSavingsGoal(id) {
+  const goal = findSavingsGoal(id);
+  if (!goal) return;
+
+  showConfirmModal(
+    'Delete Savings Goal',
+    `Remove "${goal.name}"? Its contributions stay in your budget as ${NO_GOAL_LABEL}.`,
+    () => deleteSavingsGoal(id)
+  );
+}
+
+function deleteSavingsGoal(id) {
+  data.settings.savingsGoals = data.settings.savingsGoals.filter(g => g.id !== id);
+  forEachTransaction(tx => {
+    if (tx.savingsGoal === id) tx.savingsGoal = '';
+  });
+  saveData();
+  renderAfterSavingsGoalChange();
+  showToast('Savings goal removed');
+}
+
+/** Unknown goals are added; ones with the same name are matched. Returns
+ *  imported id → local id for the matched ones. */
+function mergeImportedSavingsGoals(imported, addMissing = true) {
+  const idMap = {};
+  ((imported.settings && imported.settings.savingsGoals) || []).forEach(goal => {
+    if (findSavingsGoal(goal.id)) return;
+    const sameName = data.settings.savingsGoals.find(g => g.name.toLowerCase() === goal.name.toLowerCase());
+    if (sameName) idMap[goal.id] = sameName.id;
+    else if (addMissing) data.settings.savingsGoals.push(Object.assign({}, goal));
+  });
+  return idMap;
+}
+
+/** Record a contribution (tx = null) or edit one. goalId preselects a goal. */
+function openContributionSheet(tx = null, monthKey = null, goalId = null) {
+  const goals = data.settings.savingsGoals;
+  if (!tx && goals.length === 0) {
+    showToast('Add a savings goal in Settings first');
+    return;
+  }
+  editingContributionId = tx ? tx.id : null;
+  editingContributionMonth = monthKey;
+
+  const select = document.getElementById('contributionGoal');
+  const selected = tx ? tx.savingsGoal : goalId;
+  select.innerHTML = goals.map(g => `<option value="${g.id}">${escapeHtml(g.name)}</option>`).join('') +
+    (tx && !findSavingsGoal(tx.savingsGoal) ? `<option value="">${NO_GOAL_LABEL}</option>` : '');
+  select.value = findSavingsGoal(selected) ? selected : (tx ? '' : goals[0].id);
+
+  const goal = findSavingsGoal(select.value);
+  const suggested = !tx && goal ? calcSuggestedContribution(goal) : null;
+  document.getElementById('contributionAmount').value = tx ? Math.abs(tx.amount)
+    : (suggested ? parseFloat(suggested.toFixed(data.settings.currencyDecimals)) : '');
+  document.getElementById('contributionDescription').value = tx ? tx.description : '';
+  document.getElementById('contributionDate').value = tx ? tx.date : toDateKey(new Date());
+  document.getElementById('contributionNote').value = tx ? tx.note || '' : '';
+  renderSheetPhoto('contribution', tx ? tx.id : null);
+  document.getElementById('contributionSheetTitle').textContent = tx ? 'Edit Contribution' : 'Add to Savings';
+  document.getElementById('contributionDeleteBtn').style.display = tx ? '' : 'none';
+
+  document.getElementById('contributionOverlay').classList.add('open');
+  setTimeout(() => document.getElementById('contributionAmount').select(), 100);
+}
+
+function saveContribution() {
+  const raw = parseFloat(document.getElementById('contributionAmount').value);
+  const goalId = document.getElementById('contributionGoal').value;
+  const date = document.getElementById('contributionDate').value || toDateKey(new Date());
+
+  if (isNaN(raw) || raw <= 0) {
+    showToast('Please enter a valid amount');
+    return;
+  }
+
+  const srcTx = editingContributionId ? findTransactionIn(editingContributionId, editingContributionMonth) : null;
+  const tx = {
+    id: srcTx ? srcTx.id : generateId(),
+    date,
+    time: srcTx ? srcTx.time || '' : new Date().toTimeString().slice(0, 5),
+    amount: -parseFloat(raw.toFixed(2)),
+    description: document.getElementById('contributionDescription').value.trim() ||
+      `Saved for ${getSavingsGoalName(goalId)}`,
+    category: '',
+    savingsGoal: goalId
+  };
+  const note = document.getElementById('contributionNote').value.trim();
+  if (note) tx.note = note;
+  const destMonthKey = date.slice(0, 7);
+
+  if (srcTx) {
+    recordChanges('edit', [{
+      before: txState(srcTx, editingContributionMonth || data.currentMonth),
+      after: txState(tx, destMonthKey)
+    }]);
+    removeTransactionFromBucket(srcTx.id, editingContributionMonth);
+  } else {
+    recordChanges('add', [{ before: null, after: txState(tx, destMonthKey) }]);
+  }
+  addTransactionToBucket(tx, destMonthKey);
+  saveSheetPhoto('contribution', tx.id);
+
+  saveData();
+  closeContributionModal();
+  renderAfterEdit();
+  showToast(srcTx ? 'Contribution updated' : `${fmtMoney(-tx.amount)} saved for ${getSavingsGoalName(goalId)}`, UNDO_ACTION);
+}
+
+function deleteContributionFromSheet() {
+  if (!editingContributionId) return;
+  const id = editingContributionId;
+  const monthKey = editingContributionMonth;
+  closeContributionModal();
+  setTimeout(() => confirmDeleteTx(id, monthKey), 320);
+}
+
+function closeContributionModal() {
+  document.getElementById('contributionOverlay').classList.remove('open');
+  editingContributionId = null;
+  editingContributionMonth = null;
+  clearSheetPhoto('contribution');
+}
+
+// ─── Search ───────────────────────────────────────────────
+function readSearchFilters() {
+  const num = (id) => {
+    const v = parseFloat(document.getElementById(id).value);
+    return isNaN(v) ? null : v;
+  };
+  return {
+    text: document.getElementById('searchText').value.trim().toLowerCase(),
+    type: document.getElementById('searchType').value,   // 'all' or a txTypeClass()
+    minAmount: num('searchMinAmount'),
+    maxAmount: num('searchMaxAmount'),
+    from: document.getElementById('searchFrom').value,
+    to: document.getElementById('searchTo').value
+  };
+}
+
+function hasSearchFilters(f) {
+  return !!(f.text || f.type !== 'all' || f.minAmount !== null || f.maxAmount !== null || f.from || f.to);
+}
+
+/** Matches from the current month and every history month, newest first.
+ *  Returns [{ tx, monthKey }] where monthKey is null for the current month. */
+function searchTransactions(f) {
+  const matches = (tx) => {
+    const size = Math.abs(tx.amount);
+    const texts = [tx.description, tx.note || ''].concat((tx.splits || []).map(part => part.description));
+    if (f.text && !texts.some(text => text.toLowerCase().includes(f.text))) return false;
+    if (f.type !== 'all' && f.type !== txTypeClass(tx)) return false;
+    if (f.minAmount !== null && size < f.minAmount) return false;
+    if (f.maxAmount !== null && size > f.maxAmount) return false;
+    if (f.from && tx.date < f.from) return false;
+    if (f.to && tx.date > f.to) return false;
+    return true;
+  };
+
+  const results = data.transactions.filter(matches).map(tx => ({ tx, monthKey: null }));
+  Object.keys(data.history).forEach(key => {
+    (data.history[key].transactions || []).forEach(tx => {
+      if (matches(tx)) results.push({ tx, monthKey: key });
+    });
+  });
+  return results.sort((a, b) =>
+    b.tx.date.localeCompare(a.tx.date) || (b.tx.time || '').localeCompare(a.tx.time || ''));
+}
+
+function renderSearchResults() {
+  const list = document.getElementById('searchResults');
+  const count = document.getElementById('searchCount');
+  const totals = document.getElementById('searchTotals');
+  const filters = readSearchFilters();
+
+  if (!hasSearchFilters(filters)) {
+    list.innerHTML = '<div class="empty-state">Search by description, or filter by amount, date or type</div>';
+    count.textContent = '';
+    totals.style.display = 'none';
+    return;
+  }
+
+  const results = searchTransactions(filters);
+  count.textContent = `${results.length} match${results.length !== 1 ? 'es' : ''}`;
+  if (results.length === 0) {
+    list.innerHTML = '<div class="empty-state">No matching transactions</div>';
+    totals.style.display = 'none';
+    return;
+  }
+
+  const { spent, income } = calcMonthTotals(results.map(r => r.tx));
+  const saved = calcSaved(results.map(r => r.tx));
+  totals.style.display = '';
+  totals.innerHTML = `
+    <span>Spent <strong class="expense">${fmtMoney(spent)}</strong></span>
+    <span>Income <strong class="income">${fmtMoney(income)}</strong></span>
+    <span>Net <strong>${income - spent < 0 ? '-' : ''}${fmtMoney(income - spent)}</strong></span>
+    ${saved ? `<span>Saved <strong class="savings">${fmtMoney(saved)}</strong></span>` : ''}
+  `;
+
+  // Running total accumulates down the list, newest first (transfers and
+  // contributions don't change it)
+  let running = 0;
+  const rows = results.slice(0, SEARCH_RESULT_LIMIT).map(({ tx, monthKey }) => {
+    if (isBudgetTransaction(tx)) running += tx.amount;
+    const typeClass = txTypeClass(tx);
+    const keyArg = monthKey ? `, '${monthKey}'` : '';
+
+    return `
+      <div class="transaction-item" onclick="openEditTx('${tx.id}'${keyArg})">
+        <div class="transaction-icon ${typeClass}">${txIcon(tx)}</div>
+        <div class="transaction-info">
+          <div class="transaction-desc">${escapeHtml(tx.description)}</div>
+          <div class="transaction-date">${fmtDate(tx.date)}, ${tx.date.slice(0, 4)} · ${escapeHtml(txDetail(tx))}</div>
+        </div>
+        <div class="search-amounts">
+          <div class="transaction-amount ${typeClass}">${fmtTxAmount(tx)}${renderOriginalAmount(tx)}</div>
+          <div class="search-running">${running < 0 ? '-' : ''}${fmtMoney(running)}</div>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  list.innerHTML = rows + (results.length > SEARCH_RESULT_LIMIT
+    ? `<div class="empty-state">Showing the newest ${SEARCH_RESULT_LIMIT} of ${results.length} – narrow the filters to see more</div>`
+    : '');
+}
+
+function clearSearchFilters() {
+  ['searchText', 'searchMinAmount', 'searchMaxAmount', 'searchFrom', 'searchTo']
+    .forEach(id => { document.getElementById(id).value = ''; });
+  document.getElementById('searchType').value = 'all';
+  renderSearchResults();
+}
+
+// ─── Currencies ───────────────────────────────────────────
+// tx.amount is always in the base currency, so every calculation already works
+// on converted amounts. A transaction entered in another currency also keeps
+// tx.original = { currency, amount, rate }: the unsigned amount as entered and
+// the rate it was converted at, so editing the rate table never rewrites
+// past spending.
+function fmtForeign(amount, currency) {
+  try {
+    return Math.abs(amount).toLocaleString(data.settings.locale, { style: 'currency', currency });
+  } catch (e) {
+    return `${currency} ${fmtCurrency(amount, 2)}`;
+  }
+}
+
+/** Base amount for an unsigned amount in another currency, rounded to cents. */
+function convertToBase(amount, rate) {
+  return Math.round(amount * rate * 100) / 100;
+}
+
+/** Unsigned base amount plus the original record for an amount entered in
+ *  currency ('' = base). keepRate overrides the table, e.g. for an edit. */
+function convertEntered(amount, currency, keepRate = null) {
+  const rate = keepRate || data.settings.exchangeRates[currency];
+  if (!currency || !rate) return { amount, original: null };
+  return { amount: convertToBase(amount, rate), original: { currency, amount, rate } };
+}
+
+/** Secondary line under a list amount for transactions entered in another currency. */
+function renderOriginalAmount(tx) {
+  if (!tx.original) return '';
+  return `<div class="transaction-original">${escapeHtml(fmtForeign(tx.original.amount, tx.original.currency))}</div>`;
+}
+
+/** Fill the add card and edit sheet currency pickers. extraCode: a currency
+ *  no longer in the table that the transaction being edited still uses. */
+function renderCurrencyOptions(extraCode = null) {
+  const codes = Object.keys(data.settings.exchangeRates).sort();
+  [['currencyInput', null], ['editCurrency', extraCode]].forEach(([id, extra]) => {
+    const select = document.getElementById(id);
+    const list = extra && !codes.includes(extra) ? [...codes, extra] : codes;
+    const current = select.value;
+    select.innerHTML = `<option value="">${escapeHtml(data.settings.currencySymbol)}</option>` +
+      list.map(code => `<option value="${code}">${code}</option>`).join('');
+    select.value = list.includes(current) ? current : '';
+    select.style.display = list.length ? '' : 'none';
+  });
+  updateConversionHints();
+}
+
+/** "≈ $13.50" under the amount while a foreign currency is picked. */
+function updateConversionHints() {
+  const editTx = editingTxId ? findTransactionIn(editingTxId, editingTxMonth) : null;
+  [['currencyInput', 'amountInput', 'conversionHint', null],
+   ['editCurrency', 'editAmount', 'editConversionHint', editTx]].forEach(([selectId, amountId, hintId, tx]) => {
+    const currency = document.getElementById(selectId).value;
+    const hint = document.getElementById(hintId);
+    document.getElementById(selectId).parentElement.classList.toggle('foreign', !!currency);
+    if (!currency) {
+      hint.style.display = 'none';
+      return;
+    }
+    const keepRate = tx && tx.original && tx.original.currency === currency ? tx.original.rate : null;
+    const rate = keepRate || data.settings.exchangeRates[currency];
+    const amount = parseFloat(document.getElementById(amountId).value) || 0;
+    hint.style.display = '';
+    hint.textContent = `≈ ${fmtMoney(convertToBase(amount, rate))} · 1 ${currency} = ${withCurrencySymbol(rate.toLocaleString(data.settings.locale, { maximumFractionDigits: 6 }))}`;
+  });
+  updateEditSplitHint();
+}
+
+function renderExchangeRateSettings() {
+  const list = document.getElementById('exchangeRateList');
+  const codes = Object.keys(data.settings.exchangeRates).sort();
+  const after = data.settings.currencyPosition === 'after' ? ' symbol-after' : '';
+
+  if (codes.length === 0) {
+    list.innerHTML = '<div class="settings-hint">No rates – everything is entered in your own currency</div>';
+    return;
+  }
+  list.innerHTML = codes.map(code => `
+    <div class="settings-row category-settings-row">
+      <span class="settings-label">1 ${code} =</span>
+      <div class="settings-input-wrap category-budget-wrap${after}">
+        <span class="settings-currency">${escapeHtml(data.settings.currencySymbol)}</span>
+        <input
+          type="number"
+          class="settings-input rate-input"
+          value="${data.settings.exchangeRates[code]}"
+          inputmode="decimal"
+          min="0"
+          step="any"
+          aria-label="${code} rate"
+          onchange="setExchangeRate('${code}', this.value)"
+        >
+      </div>
+      <button class="transaction-delete" onclick="deleteExchangeRate('${code}')" aria-label="Delete">&#215;</button>
+    </div>
+  `).join('');
+}
+
+function addExchangeRate() {
+  const codeEl = document.getElementById('newRateCode');
+  const rateEl = document.getElementById('newRateValue');
+  const code = codeEl.value.trim().toUpperCase();
+  const rate = parseFloat(rateEl.value);
+
+  if (!isCurrencyCode(code)) {
+    codeEl.focus();
+    showToast('Enter a 3-letter currency code like EUR');
+    return;
+  }
+  if (isNaN(rate) || rate <= 0) {
+    rateEl.focus();
+    showToast('Please enter a valid rate');
+    return;
+  }
+  const existed = !!data.settings.exchangeRates[code];
+  data.settings.exchangeRates[code] = rate;
+  saveData();
+  codeEl.value = '';
+  rateEl.value = '';
+  renderExchangeRateSettings();
+  renderCurrencyOptions();
+  showToast(existed ? `${code} rate updated` : `Added ${code}`);
+}
+
+function setExchangeRate(code, value) {
+  const rate = parseFloat(value);
+  if (isNaN(rate) || rate <= 0) {
+    showToast('Please enter a valid rate');
+    renderExchangeRateSettings();
+    return;
+  }
+  data.settings.exchangeRates[code] = rate;
+  saveData();
+  updateConversionHints();
+  showToast(`${code} rate saved – applies to new transactions`);
+}
+
+/** Existing transactions keep the rate they were recorded at. */
+function deleteExchangeRate(code) {
+  delete data.settings.exchangeRates[code];
+  saveData();
+  renderExchangeRateSettings();
+  renderCurrencyOptions();
+  showToast(`${code} removed`);
+}
+
+// ─── Settings Actions ─────────────────────────────────────
+function onAnnualBudgetChange() {
+  updateSettingsMonthlyDisplay();
+}
+
+function saveSettings() {
+  const annual = parseFloat(document.getElementById('annualBudget').value) || 0;
+  data.settings.annualBudget = annual;
+  data.settings.carryOver = document.getElementById('carryOverToggle').checked;
+  saveData();
+  renderBudgetHero();
+  renderCategoryBudgets();
+  updateSettingsMonthlyDisplay();
+  renderCategoryAllocationHint();
+  showToast('Settings saved');
+}
+
+function setHistoryRetention(value) {
+  const years = value === 'forever' ? null : parseInt(value, 10);
+  const apply = () => {
+    data.settings.historyYears = years;
+    const moved = pruneOldHistory();
+    saveData();
+    renderSettings();
+    renderHistory();
+    renderBudgetHero();
+    showToast(moved > 0
+      ? `${moved} month${moved !== 1 ? 's' : ''} moved to the archive`
+      : 'History retention saved');
+  };
+
+  // Shrinking the window archives months now – make sure that's intended
+  const wouldMove = Object.keys(data.history).filter(key => {
+    if (years === null) return false;
+    return budgetYearOf(key) <= budgetYearOf(data.currentMonth) - years;
+  }).length;
+  if (wouldMove === 0) {
+    apply();
+    return;
+  }
+  showConfirmModal(
+    'Archive History',
+    `${wouldMove} month${wouldMove !== 1 ? 's' : ''} will become read-only in the archive` +
+      (data.settings.archiveTransactions ? '.' : ' and keep only monthly totals.'),
+    apply
+  );
+  renderSettings();   // revert the picker until confirmed
+}
+
+function renderDisplaySettings() {
+  const localeSelect = document.getElementById('localeSelect');
+  if (!localeSelect.options.length) {
+    localeSelect.innerHTML = Object.keys(LOCALES)
+      .map(tag => `<option value="${tag}">${escapeHtml(LOCALES[tag])}</option>`).join('');
+  }
+  // A locale from an import that isn't in the list still needs to show
+  if (!LOCALES[data.settings.locale] && ![...localeSelect.options].some(o => o.value === data.settings.locale)) {
+    localeSelect.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(data.settings.locale)}">${escapeHtml(data.settings.locale)}</option>`);
+  }
+  localeSelect.value = data.settings.locale;
+  document.getElementById('currencySymbolInput').value = data.settings.currencySymbol;
+  document.getElementById('currencyDecimals').value = String(data.settings.currencyDecimals);
+  document.getElementById('currencyPosition').value = data.settings.currencyPosition;
+  document.getElementById('displayPreview').textContent =
+    `${fmtMoney(1234.5)} · ${fmtDate(toDateKey(new Date()))} · ${fmtMonthLabel(data.currentMonth)}`;
+}
+
+/** field: 'locale' | 'currencySymbol' | 'currencyDecimals' | 'currencyPosition' */
+function setDisplaySetting(field, value) {
+  if (field === 'currencySymbol') {
+    value = value.trim();
+    if (!value || value.length > 5) {
+      showToast('Enter a symbol of up to 5 characters');
+      renderDisplaySettings();
+      return;
+    }
+  }
+  if (field === 'currencyDecimals') value = parseInt(value, 10);
+  data.settings[field] = value;
+  saveData();
+  renderAll();
+  renderDisplaySettings();
+}
+
+function setPeriodMode(mode) {
+  if (!PERIOD_MODES[mode]) return;
+  data.settings.periodMode = mode;
+  data.currentPeriod = null;
+  checkPeriodReset();
+  saveData();
+  renderAll();
+  renderSettings();
+  showToast(`Budgeting ${PERIOD_MODES[mode].toLowerCase()}`);
+}
+
+/** Any day a weekly or biweekly period starts on, e.g. a payday. */
+function setPeriodAnchor(value) {
+  if (!isValidDateKey(value)) {
+    renderSettings();
+    return;
+  }
+  data.settings.periodAnchor = value;
+  data.currentPeriod = null;
+  checkPeriodReset();
+  saveData();
+  renderAll();
+  renderSettings();
+  showToast(`${PERIOD_TITLES[data.settings.periodMode]} runs ${fmtPeriodLabel(currentPeriod())}`);
+}
+
+function setYearStartMonth(value) {
+  const month = parseInt(value, 10);
+  const apply = () => {
+    data.settings.yearStartMonth = month;
+    const moved = pruneOldHistory();
+    saveData();
+    renderAll();
+    renderSettings();
+    showToast(moved > 0
+      ? `Budget year updated – ${moved} month${moved !== 1 ? 's' : ''} moved to the archive`
+      : `Budget year now starts in ${document.getElementById('yearStartMonth').selectedOptions[0].textContent}`);
+  };
+
+  // A later start can push older months outside the retention window
+  const previous = data.settings.yearStartMonth;
+  data.settings.yearStartMonth = month;
+  const wouldMove = Object.keys(data.history).filter(key => !isMonthRetained(key)).length;
+  data.settings.yearStartMonth = previous;
+  if (wouldMove === 0) {
+    apply();
+    return;
+  }
+  showConfirmModal(
+    'Change Budget Year',
+    `${wouldMove} month${wouldMove !== 1 ? 's' : ''} will fall outside the history you keep and move to the read-only archive.`,
+    apply
+  );
+  renderSettings();   // revert the picker until confirmed
+}
+
+function setArchiveTransactions(checked) {
+  data.settings.archiveTransactions = checked;
+  saveData();
+  showToast(checked ? 'Archive will keep full transactions' : 'Archive will keep monthly totals only');
+}
+
+// ─── Export / Import ──────────────────────────────────────
+/** withPhotos: also embed receipt photos, making a larger bundle. */
+async function exportData(withPhotos = false) {
+  const exportObj = BudgetEngine.exportObject(data);
+  if (withPhotos) exportObj.attachments = await exportAttachments();
+
+  const json = JSON.stringify(exportObj, null, 2);
+  const blob = new Blob([json], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  const profileName = profiles.list.length > 1
+    ? `${activeProfile().name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '')}-`
+    : '';
+  a.download = `SimpleBudget-${profileName}${new Date().toISOString().split('T')[0]}${withPhotos ? '-with-photos' : ''}.json`;
+  document.body.appendChild(a);
+  a.click();
+  setTimeout(() => { document.body.removeChild(a); URL.revokeObjectURL(url); }, 100);
+  showToast('Data exported');
+}
+
+function triggerImport() {
+  document.getElementById('importFile').click();
+}
+
+function importData(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(e.target.result);
+    } catch (err) {
+      showToast('Failed to read file');
+      return;
+    }
+
+    try {
+      // Photos from an export bundle are kept aside; they aren't part of the data
+      const attachments = parsed && parsed.attachments;
+      if (attachments) delete parsed.attachments;
+      const { data: imported, issues } = normalizeData(parsed, true);
+      pendingImport = {
+        fileName: file.name,
+        imported,
+        attachments,
+        issues,
+        plan: planMergeImport(imported),
+        mode: 'merge'
+      };
+      openImportSheet();
+    } catch (err) {
+      showToast(`Invalid file – ${err.message}`);
+    }
+  };
+  reader.readAsText(file);
+  event.target.value = '';
+}
+
+/** imported has already been through normalizeData(). */
+function applyReplaceImport(imported) {
+  const before = cloneData(data);
+  data = imported;
+  pruneOldHistory();
+  recordSnapshot('import', before);
+  saveData();
+  renderAll();
+  showToast('Data imported successfully', UNDO_ACTION);
+}
+
+// ─── Merge Import ─────────────────────────────────────────
+
+/** Every transaction in an export file, current month and history alike. */
+function importedTransactions(imported) {
+  const txs = Array.isArray(imported.transactions) ? imported.transactions.slice() : [];
+  Object.keys(imported.history || {}).forEach(key => {
+    txs.push(...(imported.history[key].transactions || []));
+  });
+  return txs;
+}
+
+/** Work out what a merge would do without touching data.
+ *  Transactions are matched by id across the current month and every history month:
+ *  unknown ids are added, identical ones skipped, and differing ones become conflicts
+ *  that keep this device's copy unless the user picks the imported one. */
+function planMergeImport(imported) {
+  const local = {};
+  data.transactions.forEach(tx => { local[tx.id] = { tx, monthKey: null }; });
+  Object.keys(data.history).forEach(key => {
+    (data.history[key].transactions || []).forEach(tx => { local[tx.id] = { tx, monthKey: key }; });
+  });
+
+  // Compare with this device's ids – default categories differ on every device
+  const { remap } = importRemapper(imported, false);
+  const plan = { added: [], unchanged: 0, invalid: 0, conflicts: [] };
+  const seen = new Set();
+  importedTransactions(imported).forEach(tx => {
+    if (!tx || !tx.id || typeof tx.date !== 'string' || typeof tx.amount !== 'number' ||
+        seen.has(tx.id) || !isMonthRetained(tx.date.slice(0, 7))) {
+      plan.invalid++;
+      return;
+    }
+    seen.add(tx.id);
+
+    const match = local[tx.id];
+    if (!match) plan.added.push(tx);
+    else if (sameTransaction(match.tx, remap(tx))) plan.unchanged++;
+    else plan.conflicts.push({ local: match.tx, localMonth: match.monthKey, imported: tx, useImported: false });
+  });
+  return plan;
+}
+
+function summarizeMergePlan(plan) {
+  const updated = plan.conflicts.filter(c => c.useImported).length;
+  return {
+    added: plan.added.length,
+    updated,
+    skipped: plan.unchanged + plan.invalid + plan.conflicts.length - updated
+  };
+}
+
+/** Imported categories are added unless one with the same name already exists,
+ *  in which case imported transactions are remapped to the local id. */
+function mergeImportedCategories(imported, addMissing = true) {
+  const idMap = {};
+  ((imported.settings && imported.settings.categories) || []).forEach(cat => {
+    if (!cat || !cat.id || findCategory(cat.id)) return;
+    const sameName = data.settings.categories
+      .find(c => c.name.toLowerCase() === String(cat.name).toLowerCase());
+    if (sameName) idMap[cat.id] = sameName.id;
+    else if (addMissing) data.settings.categories.push(Object.assign(newCategory(cat.name), cat));
+  });
+  return idMap;
+}
+
+/** Unknown recurring items are added; for shared ones the later lastPosted wins
+ *  so neither device re-posts what the other already did. */
+function mergeImportedRecurring(imported, categoryMap) {
+  (imported.recurring || []).forEach(rec => {
+    if (!rec || !rec.id) return;
+    const existing = data.recurring.find(r => r.id === rec.id);
+    if (!existing) {
+      data.recurring.push(Object.assign({}, rec, { category: categoryMap[rec.category] || rec.category }));
+    } else if ((rec.lastPosted || '') > (existing.lastPosted || '')) {
+      existing.lastPosted = rec.lastPosted;
+    }
+  });
+}
+
+/** Rewrites an imported transaction's category, account and goal ids to the
+ *  matching ones on this device. addMissing: false only works out the mapping
+ *  (for planning); true also adds the ones this device doesn't have. */
+function importRemapper(imported, addMissing) {
+  const categoryMap = mergeImportedCategories(imported, addMissing);
+  const accountMap = mergeImportedAccounts(imported, addMissing);
+  const goalMap = mergeImportedSavingsGoals(imported, addMissing);
+  const remap = (tx) => {
+    const out = Object.assign({}, tx, { category: categoryMap[tx.category] || tx.category || '' });
+    if (tx.account) out.account = accountMap[tx.account] || tx.account;
+    if (tx.transferTo) out.transferTo = accountMap[tx.transferTo] || tx.transferTo;
+    if (tx.savingsGoal) out.savingsGoal = goalMap[tx.savingsGoal] || tx.savingsGoal;
+    if (tx.splits) {
+      out.splits = tx.splits.map(part => Object.assign({}, part, { category: categoryMap[part.category] || part.category }));
+    }
+    return out;
+  };
+  return { remap, categoryMap };
+}
+
+function applyMergeImport(imported, plan) {
+  const before = cloneData(data);
+  const { remap, categoryMap } = importRemapper(imported, true);
+
+  // Adopt goals for months this device has no record of
+  Object.keys(imported.history || {}).forEach(key => {
+    if (key === data.currentMonth || !isMonthRetained(key)) return;
+    const goal = imported.history[key].goal || 0;
+    if (!data.history[key]) data.history[key] = { goal, transactions: [] };
+    else if (!data.history[key].goal) data.history[key].goal = goal;
+  });
+
+  plan.added.forEach(tx => addTransactionToBucket(remap(tx)));
+  plan.conflicts.filter(c => c.useImported).forEach(c => {
+    removeTransactionFromBucket(c.local.id, c.localMonth);
+    addTransactionToBucket(remap(c.imported));
+  });
+
+  mergeImportedRecurring(imported, categoryMap);
+  Object.keys(imported.settings.exchangeRates || {}).forEach(code => {
+    if (!data.settings.exchangeRates[code]) data.settings.exchangeRates[code] = imported.settings.exchangeRates[code];
+  });
+  Object.keys(imported.archive || {}).forEach(key => {
+    if (!data.archive[key] && !data.history[key]) data.archive[key] = imported.archive[key];
+  });
+  Object.keys(imported.yearEnds || {}).forEach(year => {
+    if (!data.yearEnds[year]) data.yearEnds[year] = imported.yearEnds[year];
+  });
+  pruneOldHistory();
+  recordSnapshot('import', before);
+  saveData();
+  renderAll();
+
+  const summary = summarizeMergePlan(plan);
+  showToast(`Merged: ${summary.added} added, ${summary.updated} updated, ${summary.skipped} skipped`, UNDO_ACTION);
+}
+
+function openImportSheet() {
+  document.getElementById('importFileName').textContent = profiles.list.length > 1
+    ? `${pendingImport.fileName} → ${activeProfile().name}`
+    : pendingImport.fileName;
+  renderImportIssues();
+  setImportMode('merge');
+  document.getElementById('importOverlay').classList.add('open');
+}
+
+function setImportMode(mode) {
+  pendingImport.mode = mode;
+  const merge = mode === 'merge';
+  document.getElementById('importModeMerge').classList.toggle('active', merge);
+  document.getElementById('importModeReplace').classList.toggle('active', !merge);
+  document.getElementById('importMergePanel').style.display = merge ? '' : 'none';
+  document.getElementById('importReplacePanel').style.display = merge ? 'none' : '';
+
+  const btn = document.getElementById('importConfirmBtn');
+  btn.classList.toggle('danger', !merge);
+  if (merge) renderMergePlan();
+  else {
+    btn.textContent = 'Replace All Data';
+    btn.disabled = false;
+  }
+}
+
+/** Problems found by validateData() in the file, shown before anything is imported. */
+function renderImportIssues() {
+  const el = document.getElementById('importIssues');
+  const issues = pendingImport.issues;
+  el.style.display = issues.length ? '' : 'none';
+  if (issues.length === 0) return;
+
+  const removed = issues.filter(i => i.action === 'removed').length;
+  const shown = issues.slice(0, 50);
+  el.innerHTML = `
+    <div class="import-conflicts-title">
+      ${issues.length} problem${issues.length !== 1 ? 's' : ''} in file – ${issues.length - removed} repaired, ${removed} record${removed !== 1 ? 's' : ''} left out
+    </div>
+    ${shown.map(i => `
+      <div class="import-issue ${i.action}">
+        <span class="import-issue-where">${escapeHtml(i.where)}</span>
+        ${escapeHtml(i.problem)} – ${i.action}
+      </div>
+    `).join('')}
+    ${issues.length > shown.length ? `<div class="import-issue">…and ${issues.length - shown.length} more</div>` : ''}
+  `;
+}
+
+function renderMergePlan() {
+  const plan = pendingImport.plan;
+  const summary = summarizeMergePlan(plan);
+  document.getElementById('importSummary').textContent =
+    `${summary.added} added · ${summary.updated} updated · ${summary.skipped} skipped`;
+
+  const list = document.getElementById('importConflicts');
+  list.style.display = plan.conflicts.length ? '' : 'none';
+  list.innerHTML = plan.conflicts.length === 0 ? '' :
+    `<div class="import-conflicts-title">${plan.conflicts.length} conflict${plan.conflicts.length !== 1 ? 's' : ''} – same transaction, different details</div>` +
+    plan.conflicts.map((c, i) => `
+      <div class="import-conflict">
+        ${renderConflictChoice(i, c.local, 'This device', getCategoryName(c.local.category), !c.useImported)}
+        ${renderConflictChoice(i, c.imported, 'Imported', importedCategoryName(c.imported.category), c.useImported)}
+      </div>
+    `).join('');
+
+  const btn = document.getElementById('importConfirmBtn');
+  const changes = summary.added + summary.updated;
+  btn.textContent = changes > 0 ? `Merge ${changes} Change${changes !== 1 ? 's' : ''}` : 'Nothing to Merge';
+  btn.disabled = changes === 0;
+}
+
+/** Category names in the file may not exist on this device yet. */
+function importedCategoryName(id) {
+  const cats = (pendingImport.imported.settings && pendingImport.imported.settings.categories) || [];
+  const cat = cats.find(c => c && c.id === id);
+  return cat ? cat.name : getCategoryName(id);
+}
+
+function renderConflictChoice(index, tx, label, categoryName, checked) {
+  return `
+    <label class="import-conflict-option${checked ? ' chosen' : ''}">
+      <input type="radio" name="conflict-${index}" ${checked ? 'checked' : ''}
+        onchange="chooseConflictSide(${index}, ${label === 'Imported'})">
+      <div class="transaction-info">
+        <div class="import-conflict-label">${label}</div>
+        <div class="transaction-desc">${escapeHtml(tx.description)}</div>
+        <div class="transaction-date">${fmtDate(tx.date)} · ${escapeHtml(categoryName)}</div>
+      </div>
+      <div class="transaction-amount ${txTypeClass(tx)}">${fmtTxAmount(tx)}${renderOriginalAmount(tx)}</div>
+    </label>
+  `;
+}
+
+function chooseConflictSide(index, useImported) {
+  pendingImport.plan.conflicts[index].useImported = useImported;
+  renderMergePlan();
+}
+
+function confirmImport() {
+  if (!pendingImport) return;
+  const { imported, plan, mode, attachments } = pendingImport;
+  closeImportModal();
+  if (mode === 'replace') applyReplaceImport(imported);
+  else applyMergeImport(imported, plan);
+  if (attachments) {
+    importAttachments(attachments, mode === 'replace').then(count => {
+      if (count > 0) {
+        renderAfterEdit();
+        showToast(`Imported ${count} receipt photo${count !== 1 ? 's' : ''}`);
+      }
+    });
+  }
+}
+
+function closeImportModal() {
+  document.getElementById('importOverlay').classList.remove('open');
+  pendingImport = null;
+}
+
+// ─── Bank CSV Import ──────────────────────────────────────
+const CSV_DATE_FORMATS = {
+  ymd: 'YYYY-MM-DD',
+  mdy: 'MM/DD/YYYY',
+  dmy: 'DD/MM/YYYY'
+};
+
+function triggerCsvImport() {
+  document.getElementById('csvImportFile').click();
+}
+
+function importCsv(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    const rows = parseCsv(e.target.result);
+    if (rows.length === 0) {
+      showToast('No rows found in file');
+      return;
+    }
+    csvImport = { fileName: file.name, rows, preview: [], selected: new Set() };
+    openCsvImportSheet();
+  };
+  reader.onerror = () => showToast('Failed to read file');
+  reader.readAsText(file);
+  event.target.value = '';
+}
+
+/** Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF/LF line endings.
+ *  The delimiter (comma, semicolon or tab) is detected from the first line. */
+function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(d => ({ d, n: firstLine.split(d).length }))
+    .sort((a, b) => b.n - a.n)[0].d;
+
+  const rows = [];
+  let row = [], field = '', inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows
+    .map(r => r.map(c => c.trim()))
+    .filter(r => r.some(c => c !== ''));
+}
+
+/** '2026-03-05', '03/05/2026', '5.3.26' … → 'YYYY-MM-DD', or null if not a real date. */
+function parseCsvDate(str, format) {
+  const parts = String(str || '').split(/[^0-9]+/).filter(Boolean).map(n => parseInt(n, 10));
+  if (parts.length < 3) return null;
+
+  let y, m, d;
+  if (format === 'ymd') [y, m, d] = parts;
+  else if (format === 'dmy') [d, m, y] = parts;
+  else [m, d, y] = parts;
+  if (y < 100) y += 2000;
+
+  const date = new Date(y, m - 1, d, 12);
+  if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) return null;
+  return toDateKey(date);
 }
 
-// ─── Edit Transaction ─────────────────────────────────────
-/** monthKey: null = current month, 'YYYY-MM' = history bucket */
-function openEditTx(id, monthKey = null) {
-  const tx = monthKey
-    ? (data.history[monthKey]?.transactions || []).find(t => t.id === id)
-    : data.transactions.find(t => t.id === id);
-  if (!tx) return;
+/** '$1,234.56', '(12.00)', '-12,50', '1.234,56 €', '1.234' → signed number, or NaN. */
+function parseCsvAmount(str) {
+  let s = String(str || '').trim();
+  if (!s) return NaN;
+  const negative = /^\(.*\)$/.test(s) || /^-|-$/.test(s.replace(/[^0-9.,()-]/g, ''));
+  s = s.replace(/[^0-9.,]/g, '');
 
-  editingTxId = id;
-  editingTxMonth = monthKey || null;
-  editIsIncome = tx.amount > 0;
+  // A trailing ",dd" with no later "." means comma is the decimal separator;
+  // with no comma at all, "." before groups of exactly three digits ("1.234")
+  // separates thousands
+  if (/,\d{1,2}$/.test(s)) s = s.replace(/\./g, '').replace(',', '.');
+  else if (/^[1-9]\d{0,2}(\.\d{3})+$/.test(s)) s = s.replace(/\./g, '');
+  else s = s.replace(/,/g, '');
 
-  document.getElementById('editAmount').value = Math.abs(tx.amount);
-  document.getElementById('editDescription').value = tx.description;
-  document.getElementById('editDate').value = tx.date;
+  const n = parseFloat(s);
+  return isNaN(n) ? NaN : (negative ? -n : n);
+}
 
-  setEditType(editIsIncome ? 'income' : 'expense');
+/** Pick the date format that parses the most of the first few date cells. */
+function guessCsvDateFormat(cells) {
+  const samples = cells.filter(Boolean).slice(0, 50);
+  return Object.keys(CSV_DATE_FORMATS)
+    .map(format => ({ format, ok: samples.filter(c => parseCsvDate(c, format)).length }))
+    .reduce((best, f) => f.ok > best.ok ? f : best).format;
+}
 
-  document.getElementById('editOverlay').classList.add('open');
-  setTimeout(() => document.getElementById('editAmount').select(), 100);
+/** Guess column roles from header names. */
+function guessCsvColumns(header) {
+  const find = (re) => header.findIndex(h => re.test(h));
+  const debit = find(/debit|withdraw|money out|paid out/i);
+  const credit = find(/credit|deposit|money in|paid in/i);
+  return {
+    date: Math.max(0, find(/date/i)),
+    description: find(/desc|memo|payee|merchant|details|narrative|name/i),
+    amount: find(/amount|value|sum/i),
+    debit,
+    credit,
+    mode: find(/amount|value|sum/i) < 0 && debit >= 0 && credit >= 0 ? 'split' : 'single'
+  };
 }
 
-function setEditType(type) {
-  editIsIncome = (type === 'income');
+function openCsvImportSheet() {
+  const header = csvImport.rows[0];
+  const guess = guessCsvColumns(header);
+  const hasHeader = header.some(c => isNaN(parseCsvAmount(c)) && !parseCsvDate(c, 'ymd') && !parseCsvDate(c, 'mdy'));
 
-  const expBtn = document.getElementById('editTypeExpense');
-  const incBtn = document.getElementById('editTypeIncome');
-  const saveBtn = document.getElementById('editSaveBtn');
+  document.getElementById('csvFileName').textContent = csvImport.fileName;
+  document.getElementById('csvHasHeader').checked = hasHeader;
+  renderCsvColumnOptions();
 
-  expBtn.classList.remove('active', 'expense-active', 'income-active');
-  incBtn.classList.remove('active', 'expense-active', 'income-active');
+  document.getElementById('csvDateCol').value = guess.date;
+  document.getElementById('csvDescCol').value = Math.max(guess.description, 0);
+  document.getElementById('csvAmountMode').value = guess.mode;
+  document.getElementById('csvAmountCol').value = Math.max(guess.amount, 0);
+  document.getElementById('csvDebitCol').value = Math.max(guess.debit, 0);
+  document.getElementById('csvCreditCol').value = Math.max(guess.credit, 0);
+  document.getElementById('csvSign').value = 'negative-expense';
+  document.getElementById('csvDateFormat').value = guessCsvDateFormat(
+    csvImport.rows.slice(hasHeader ? 1 : 0).map(r => r[guess.date])
+  );
+  document.getElementById('csvCategory').value = '';
 
-  if (editIsIncome) {
-    incBtn.classList.add('active', 'income-active');
-    saveBtn.style.background = 'var(--success)';
-  } else {
-    expBtn.classList.add('active', 'expense-active');
-    saveBtn.style.background = '';
-  }
+  updateCsvPreview();
+  document.getElementById('csvOverlay').classList.add('open');
 }
 
-function saveEditTx() {
-  if (!editingTxId) return;
-
-  const raw = parseFloat(document.getElementById('editAmount').value);
-  if (isNaN(raw) || raw <= 0) {
-    showToast('Please enter a valid amount');
-    return;
-  }
+/** Column pickers show header names, or "Column N" when the file has no header row. */
+function renderCsvColumnOptions() {
+  const hasHeader = document.getElementById('csvHasHeader').checked;
+  const width = Math.max(...csvImport.rows.map(r => r.length));
+  const options = Array.from({ length: width }, (_, i) => {
+    const label = hasHeader && csvImport.rows[0][i] ? csvImport.rows[0][i] : `Column ${i + 1}`;
+    return `<option value="${i}">${escapeHtml(label)}</option>`;
+  }).join('');
 
-  const amount = parseFloat(raw.toFixed(2));
-  const description = document.getElementById('editDescription').value.trim() || (editIsIncome ? 'Income' : 'Expense');
-  const newDate = document.getElementById('editDate').value;
+  ['csvDateCol', 'csvDescCol', 'csvAmountCol', 'csvDebitCol', 'csvCreditCol'].forEach(elId => {
+    const select = document.getElementById(elId);
+    const selected = select.value;
+    select.innerHTML = options;
+    if (selected !== '' && parseInt(selected, 10) < width) select.value = selected;
+  });
 
-  // Source bucket
-  const srcMonthKey = editingTxMonth;  // null = current month
-  let srcTx;
-  if (srcMonthKey) {
-    srcTx = (data.history[srcMonthKey]?.transactions || []).find(t => t.id === editingTxId);
-  } else {
-    srcTx = data.transactions.find(t => t.id === editingTxId);
-  }
-  if (!srcTx) return;
+  const catSelect = document.getElementById('csvCategory');
+  const selectedCat = catSelect.value;
+  catSelect.innerHTML = document.getElementById('categoryInput').innerHTML;
+  catSelect.value = findCategory(selectedCat) ? selectedCat : '';
+}
 
-  // Destination bucket
-  const destMonthKey = newDate ? newDate.slice(0, 7) : (srcMonthKey || data.currentMonth);
-  const moving = destMonthKey !== (srcMonthKey || data.currentMonth);
+function onCsvHeaderToggle() {
+  renderCsvColumnOptions();
+  updateCsvPreview();
+}
 
-  const updatedTx = {
-    id: srcTx.id,
-    date: newDate || srcTx.date,
-    time: srcTx.time || '',
-    amount: editIsIncome ? amount : -amount,
-    description
+function readCsvMapping() {
+  const col = (id) => parseInt(document.getElementById(id).value, 10);
+  return {
+    hasHeader: document.getElementById('csvHasHeader').checked,
+    date: col('csvDateCol'),
+    description: col('csvDescCol'),
+    mode: document.getElementById('csvAmountMode').value,
+    amount: col('csvAmountCol'),
+    debit: col('csvDebitCol'),
+    credit: col('csvCreditCol'),
+    sign: document.getElementById('csvSign').value,
+    dateFormat: document.getElementById('csvDateFormat').value
   };
+}
 
-  if (moving) {
-    // Remove from source
-    if (srcMonthKey) {
-      data.history[srcMonthKey].transactions =
-        data.history[srcMonthKey].transactions.filter(t => t.id !== editingTxId);
-    } else {
-      data.transactions = data.transactions.filter(t => t.id !== editingTxId);
-    }
-
-    // Add to destination
-    if (destMonthKey === data.currentMonth) {
-      data.transactions.unshift(updatedTx);
-      data.transactions.sort((a, b) => b.date.localeCompare(a.date));
-    } else {
-      if (!data.history[destMonthKey]) {
-        data.history[destMonthKey] = { goal: 0, transactions: [] };
-      }
-      data.history[destMonthKey].transactions.unshift(updatedTx);
-      data.history[destMonthKey].transactions.sort((a, b) => b.date.localeCompare(a.date));
-    }
+/** Turn one CSV row into { date, amount, description } using the mapping, or { error }. */
+function mapCsvRow(row, map) {
+  const date = parseCsvDate(row[map.date], map.dateFormat);
+  if (!date) return { error: 'Bad date' };
 
-    saveData();
-    closeEditModal();
-    renderAfterEdit();
-    showToast('Transaction moved to ' + fmtMonthLabel(destMonthKey));
+  let amount;
+  if (map.mode === 'split') {
+    const debit = Math.abs(parseCsvAmount(row[map.debit])) || 0;
+    const credit = Math.abs(parseCsvAmount(row[map.credit])) || 0;
+    amount = credit - debit;
   } else {
-    // Same bucket — update in place
-    Object.assign(srcTx, updatedTx);
-
-    saveData();
-    closeEditModal();
-    renderAfterEdit();
-    showToast('Transaction updated');
+    amount = parseCsvAmount(row[map.amount]);
+    if (map.sign === 'positive-expense') amount = -amount;
   }
-}
+  if (isNaN(amount) || amount === 0) return { error: 'Bad amount' };
+  if (!isMonthRetained(date.slice(0, 7))) return { error: 'Older than history kept' };
 
-function deleteEditTx() {
-  if (!editingTxId) return;
-  const id = editingTxId;
-  const monthKey = editingTxMonth;
-  closeEditModal();
-  setTimeout(() => confirmDeleteTx(id, monthKey), 320);
+  const description = (row[map.description] || '').trim() || (amount < 0 ? 'Expense' : 'Income');
+  return { date, amount: parseFloat(amount.toFixed(2)), description };
 }
 
-function closeEditModal() {
-  document.getElementById('editOverlay').classList.remove('open');
-  editingTxId = null;
-  editingTxMonth = null;
+function normalizeDescription(str) {
+  return String(str || '').toLowerCase().replace(/\s+/g, ' ').trim();
 }
 
-/** Re-render everything that can change after an edit or delete. */
-function renderAfterEdit() {
-  renderBudgetHero();
-  renderTransactionsList();
-  renderHistory();
+/** Mark each candidate as new, duplicate (same date, amount and description as an
+ *  existing transaction) or possible duplicate (same date and amount only).
+ *  Each existing transaction can only match one row, so repeated identical
+ *  purchases in the file are not all flagged. */
+function detectCsvDuplicates(candidates) {
+  const existing = {};
+  forEachTransaction(tx => {
+    const key = `${tx.date}|${Math.round(tx.amount * 100)}`;
+    (existing[key] = existing[key] || []).push(normalizeDescription(tx.description));
+  });
+
+  candidates.forEach(c => {
+    if (c.error) return;
+    const pool = existing[`${c.date}|${Math.round(c.amount * 100)}`];
+    if (!pool || pool.length === 0) {
+      c.status = 'new';
+      return;
+    }
+    const exact = pool.indexOf(normalizeDescription(c.description));
+    c.status = exact >= 0 ? 'duplicate' : 'possible';
+    pool.splice(exact >= 0 ? exact : 0, 1);
+  });
 }
 
-// ─── Settings Actions ─────────────────────────────────────
-function onAnnualBudgetChange() {
-  updateSettingsMonthlyDisplay();
+function updateCsvPreview() {
+  const map = readCsvMapping();
+  document.getElementById('csvSingleRows').style.display = map.mode === 'single' ? '' : 'none';
+  document.getElementById('csvSplitRows').style.display = map.mode === 'split' ? '' : 'none';
+
+  const body = map.hasHeader ? csvImport.rows.slice(1) : csvImport.rows;
+  csvImport.preview = body.map(row => mapCsvRow(row, map));
+  detectCsvDuplicates(csvImport.preview);
+  csvImport.selected = new Set(
+    csvImport.preview.map((c, i) => c.status === 'new' ? i : -1).filter(i => i >= 0)
+  );
+
+  const statusLabels = { new: 'New', duplicate: 'Duplicate', possible: 'Possible duplicate' };
+  document.getElementById('csvPreview').innerHTML = csvImport.preview.map((c, i) => {
+    if (c.error) {
+      return `
+        <div class="csv-preview-row invalid">
+          <input type="checkbox" disabled>
+          <div class="transaction-info">
+            <div class="transaction-desc">${escapeHtml(body[i].join(', '))}</div>
+            <div class="transaction-date">${c.error}</div>
+          </div>
+        </div>
+      `;
+    }
+    const typeClass = c.amount < 0 ? 'expense' : 'income';
+    return `
+      <label class="csv-preview-row ${c.status}">
+        <input type="checkbox" ${csvImport.selected.has(i) ? 'checked' : ''} onchange="toggleCsvRow(${i}, this.checked)">
+        <div class="transaction-info">
+          <div class="transaction-desc">${escapeHtml(c.description)}</div>
+          <div class="transaction-date">${fmtDate(c.date)} · <span class="csv-status">${statusLabels[c.status]}</span></div>
+        </div>
+        <div class="transaction-amount ${typeClass}">${c.amount < 0 ? '-' : '+'}${fmtMoney(c.amount)}</div>
+      </label>
+    `;
+  }).join('');
+
+  updateCsvSummary();
 }
 
-function saveSettings() {
-  const annual = parseFloat(document.getElementById('annualBudget').value) || 0;
-  data.settings.annualBudget = annual;
-  saveData();
-  renderBudgetHero();
-  updateSettingsMonthlyDisplay();
-  showToast('Settings saved');
+function toggleCsvRow(index, checked) {
+  if (checked) csvImport.selected.add(index);
+  else csvImport.selected.delete(index);
+  updateCsvSummary();
 }
 
-// ─── Export / Import ──────────────────────────────────────
-function exportData() {
-  const exportObj = {
-    version: data.version || 1,
-    exportedAt: new Date().toISOString(),
-    settings: data.settings,
-    currentMonth: data.currentMonth,
-    transactions: data.transactions,
-    history: data.history
-  };
+function updateCsvSummary() {
+  const count = (status) => csvImport.preview.filter(c => c.status === status).length;
+  const invalid = csvImport.preview.filter(c => c.error).length;
+  const parts = [`${count('new')} new`];
+  if (count('duplicate')) parts.push(`${count('duplicate')} duplicate`);
+  if (count('possible')) parts.push(`${count('possible')} possible duplicate`);
+  if (invalid) parts.push(`${invalid} skipped`);
+  document.getElementById('csvSummary').textContent = parts.join(' · ');
 
-  const json = JSON.stringify(exportObj, null, 2);
-  const blob = new Blob([json], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `SimpleBudget-${new Date().toISOString().split('T')[0]}.json`;
-  document.body.appendChild(a);
-  a.click();
-  setTimeout(() => { document.body.removeChild(a); URL.revokeObjectURL(url); }, 100);
-  showToast('Data exported');
+  const n = csvImport.selected.size;
+  const btn = document.getElementById('csvImportBtn');
+  btn.textContent = `Import ${n} Transaction${n !== 1 ? 's' : ''}`;
+  btn.disabled = n === 0;
 }
 
-function triggerImport() {
-  document.getElementById('importFile').click();
-}
+function confirmCsvImport() {
+  if (!csvImport || csvImport.selected.size === 0) return;
+  const category = document.getElementById('csvCategory').value;
 
-function importData(event) {
-  const file = event.target.files[0];
-  if (!file) return;
+  const months = new Set();
+  const changes = [];
+  csvImport.selected.forEach(i => {
+    const c = csvImport.preview[i];
+    const tx = {
+      id: generateId(),
+      date: c.date,
+      time: '',
+      amount: c.amount,
+      description: c.description,
+      category
+    };
+    addTransactionToBucket(tx);
+    changes.push({ before: null, after: txState(tx, tx.date.slice(0, 7)) });
+    months.add(c.date.slice(0, 7));
+  });
+  recordChanges('import', changes);
 
-  const reader = new FileReader();
-  reader.onload = (e) => {
-    try {
-      const imported = JSON.parse(e.target.result);
-      if (!imported.settings || imported.transactions === undefined) {
-        showToast('Invalid file format');
-        return;
-      }
+  const n = csvImport.selected.size;
+  saveData();
+  closeCsvModal();
+  renderAfterEdit();
+  showToast(`Imported ${n} transaction${n !== 1 ? 's' : ''} into ${months.size} month${months.size !== 1 ? 's' : ''}`, UNDO_ACTION);
+}
 
-      showConfirmModal(
-        'Import Data',
-        'This will replace all current data with the imported file. This cannot be undone.',
-        () => {
-          data = Object.assign(emptyData(), imported);
-          if (!data.history) data.history = {};
-          if (!Array.isArray(data.transactions)) data.transactions = [];
-          pruneOldHistory();
-          saveData();
-          renderAll();
-          showToast('Data imported successfully');
-        },
-        true
-      );
-    } catch (err) {
-      showToast('Failed to read file');
-    }
-  };
-  reader.readAsText(file);
-  event.target.value = '';
+function closeCsvModal() {
+  document.getElementById('csvOverlay').classList.remove('open');
+  csvImport = null;
 }
 
 // ─── Clear Data ───────────────────────────────────────────
 function confirmClearData() {
   showConfirmModal(
     'Clear All Data',
-    'Are you sure? All transactions, history, and settings will be permanently deleted.',
+    'Are you sure? All transactions, history, and settings will be deleted. You can undo this until the app is closed.',
     () => {
+      const before = cloneData(data);
       data = emptyData();
+      recordSnapshot('clear', before);
       saveData();
       renderAll();
-      showToast('All data cleared');
+      showToast('All data cleared', UNDO_ACTION);
     }
   );
 }
@@ -658,11 +4402,119 @@ function confirmDeleteTx(id, monthKey = null) {
 
   showConfirmModal(
     'Delete Transaction',
-    `Remove "${escapeHtml(tx.description)}" ($${fmtCurrency(Math.abs(tx.amount))})?`,
+    `Remove "${escapeHtml(tx.description)}" (${fmtMoney(Math.abs(tx.amount))})?`,
     () => deleteTransaction(id, monthKey)
   );
 }
 
+// ─── Undo / Redo ──────────────────────────────────────────
+// Operations made this session can be stepped back and forward. Transaction
+// changes record each touched transaction before and after, along with the
+// bucket it lived in, so undoing a move puts it back in its original month.
+// Imports and clear-all replace too much to track piecemeal and record
+// whole-data snapshots instead.
+const UNDO_ACTION = { label: 'Undo', onClick: () => undo() };
+const UNDO_LABELS = {
+  add: 'add', delete: 'delete', edit: 'edit', move: 'move', import: 'import', clear: 'clear all',
+  copySettings: 'copy settings', copyRecurring: 'copy recurring'
+};
+
+function cloneData(d) {
+  return JSON.parse(JSON.stringify(d));
+}
+
+/** A detached copy of tx and the bucket it's in, or null if tx is missing. */
+function txState(tx, monthKey) {
+  return tx ? { tx: Object.assign({}, tx), monthKey } : null;
+}
+
+/** monthKey: null = current month, 'YYYY-MM' = history bucket */
+function findTransactionIn(id, monthKey = null) {
+  const list = monthKey ? (data.history[monthKey]?.transactions || []) : data.transactions;
+  return list.find(t => t.id === id) || null;
+}
+
+/** changes: [{ before, after }] where each side is a txState() or null. */
+function recordChanges(kind, changes) {
+  if (changes.length > 0) pushUndo({ kind, changes });
+}
+
+/** before: cloneData() taken just before data was replaced. */
+function recordSnapshot(kind, before) {
+  pushUndo({ kind, before, after: cloneData(data) });
+}
+
+function pushUndo(op) {
+  undoStack.push(op);
+  if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+  redoStack = [];
+  renderUndoButtons();
+}
+
+/** Move every change from one side to the other. Same-bucket edits are
+ *  replaced in place so the list order doesn't shift. */
+function applyChanges(changes, forward) {
+  const ordered = forward ? changes : changes.slice().reverse();
+  const bucketArg = (state) => state.monthKey === data.currentMonth ? null : state.monthKey;
+  ordered.forEach(c => {
+    const from = forward ? c.before : c.after;
+    const to = forward ? c.after : c.before;
+
+    if (from && to && from.monthKey === to.monthKey) {
+      const list = bucketArg(from) ? data.history[from.monthKey]?.transactions : data.transactions;
+      const idx = list ? list.findIndex(t => t.id === from.tx.id) : -1;
+      if (idx >= 0) {
+        list[idx] = Object.assign({}, to.tx);
+        return;
+      }
+    }
+    if (from) removeTransactionFromBucket(from.tx.id, bucketArg(from));
+    if (to) addTransactionToBucket(Object.assign({}, to.tx), to.monthKey);
+  });
+}
+
+function applyOperation(op, forward) {
+  if (op.changes) applyChanges(op.changes, forward);
+  else data = cloneData(forward ? op.after : op.before);
+}
+
+function undo() {
+  const op = undoStack.pop();
+  if (!op) {
+    showToast('Nothing to undo');
+    return;
+  }
+  applyOperation(op, false);
+  redoStack.push(op);
+  saveData();
+  renderAll();
+  renderUndoButtons();
+  showToast(`Undid ${UNDO_LABELS[op.kind]}`, { label: 'Redo', onClick: () => redo() });
+}
+
+function redo() {
+  const op = redoStack.pop();
+  if (!op) {
+    showToast('Nothing to redo');
+    return;
+  }
+  applyOperation(op, true);
+  undoStack.push(op);
+  saveData();
+  renderAll();
+  renderUndoButtons();
+  showToast(`Redid ${UNDO_LABELS[op.kind]}`, UNDO_ACTION);
+}
+
+function renderUndoButtons() {
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  undoBtn.disabled = undoStack.length === 0;
+  redoBtn.disabled = redoStack.length === 0;
+  undoBtn.title = undoStack.length ? `Undo ${UNDO_LABELS[undoStack[undoStack.length - 1].kind]}` : 'Undo';
+  redoBtn.title = redoStack.length ? `Redo ${UNDO_LABELS[redoStack[redoStack.length - 1].kind]}` : 'Redo';
+}
+
 // ─── Tab Navigation ───────────────────────────────────────
 function switchTab(name) {
   document.querySelectorAll('.tab-panel').forEach(p => p.classList.remove('active'));
@@ -670,24 +4522,167 @@ function switchTab(name) {
   document.getElementById(`tab-${name}`).classList.add('active');
   document.getElementById(`btn-${name}`).classList.add('active');
   if (name === 'history') renderHistory();
+  if (name === 'search') renderSearchResults();
   if (name === 'settings') renderSettings();
   document.querySelector('.tab-content').scrollTop = 0;
 }
 
-// ─── Refresh ──────────────────────────────────────────────
-function refreshApp() {
+// ─── App Updates ──────────────────────────────────────────
+// A new release installs a new service worker, which waits while the app is
+// open. The banner lets the user switch over; the page then reloads with
+// whatever was typed into the forms put back.
+const FORM_DRAFT_KEY = 'simpleBudgetFormDraft';
+let waitingWorker = null;     // installed service worker waiting to take over
+let updateRequested = false;  // this page asked it to take over, so reload once it has
+
+/** Show the banner when a new release has installed. */
+function watchForUpdates(reg) {
+  if (reg.waiting && navigator.serviceWorker.controller) showUpdateBanner(reg.waiting);
+  reg.addEventListener('updatefound', () => {
+    const worker = reg.installing;
+    if (!worker) return;
+    worker.addEventListener('statechange', () => {
+      // Without a controller this is the first install, not an update
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+    });
+  });
+}
+
+/** Resolves with the worker once it has installed, or null if it didn't. */
+function installedWorker(worker) {
+  if (!worker) return Promise.resolve(null);
+  return new Promise(resolve => {
+    const check = () => {
+      if (worker.state !== 'installing') resolve(worker.state === 'installed' ? worker : null);
+    };
+    worker.addEventListener('statechange', check);
+    check();
+  });
+}
+
+function showUpdateBanner(worker) {
+  waitingWorker = worker;
+  document.getElementById('updateBtn').disabled = false;
+  document.getElementById('updateBanner').classList.add('show');
+}
+
+function dismissUpdateBanner() {
+  document.getElementById('updateBanner').classList.remove('show');
+}
+
+/** Tell the waiting service worker to take over; controllerchange then reloads. */
+function applyUpdate() {
+  if (!waitingWorker) {
+    reloadApp();
+    return;
+  }
+  updateRequested = true;
+  document.getElementById('updateBtn').disabled = true;
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/** Tapping the title checks for a new release first – a plain reload would
+ *  come from the cache. */
+async function refreshApp() {
+  const reg = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+  if (reg && navigator.serviceWorker.controller) {
+    try {
+      await reg.update();
+    } catch (e) {
+      // Offline – reload what's cached
+    }
+    const worker = reg.waiting || await installedWorker(reg.installing);
+    if (worker) {
+      showUpdateBanner(worker);
+      applyUpdate();
+      return;
+    }
+  }
+  reloadApp();
+}
+
+function reloadApp() {
+  saveFormDraft();
   window.location.reload();
 }
 
+/** Keep unsaved input across a reload: every filled-in field on the page (the
+ *  bottom sheets sit above the banner and title, so none are open), the open
+ *  tab, scroll position and the Add form's expense/income mode. */
+function saveFormDraft() {
+  const fields = {};
+  document.querySelectorAll('main input[id], main select[id], main textarea[id]').forEach(el => {
+    if (el.type === 'file') return;
+    // Settings save as soon as they change; only their "new …" fields can hold unsaved input
+    if (el.closest('#tab-settings') && el.hasAttribute('onchange')) return;
+    if (el.type === 'checkbox') fields[el.id] = el.checked;
+    else if (el.value !== '') fields[el.id] = el.value;
+  });
+  const activeTab = document.querySelector('.tab-panel.active');
+  const draft = {
+    tab: activeTab ? activeTab.id.replace('tab-', '') : 'budget',
+    scrollTop: document.querySelector('.tab-content').scrollTop,
+    incomeMode: isIncomeMode,
+    fields
+  };
+  try {
+    sessionStorage.setItem(FORM_DRAFT_KEY, JSON.stringify(draft));
+  } catch (e) {
+    // Storage unavailable – reload without the draft
+  }
+}
+
+/** Put back what saveFormDraft() kept. Only fields that differ from what was
+ *  just rendered are touched, each firing its own input/change handler so
+ *  search results, conversion hints and charts follow. */
+function restoreFormDraft() {
+  let draft;
+  try {
+    draft = JSON.parse(sessionStorage.getItem(FORM_DRAFT_KEY));
+    sessionStorage.removeItem(FORM_DRAFT_KEY);
+  } catch (e) {
+    return;
+  }
+  if (!draft || typeof draft !== 'object') return;
+
+  if (draft.tab && draft.tab !== 'budget' && document.getElementById(`tab-${draft.tab}`)) switchTab(draft.tab);
+  Object.entries(draft.fields || {}).forEach(([id, value]) => {
+    const el = document.getElementById(id);
+    if (!el || !el.closest('main') || el.type === 'file') return;
+    if (el.type === 'checkbox') {
+      if (el.checked === value) return;
+      el.checked = !!value;
+    } else {
+      if (el.value === value) return;
+      if (el.tagName === 'SELECT' && ![...el.options].some(o => o.value === value)) return;
+      el.value = value;
+    }
+    const eventType = el.tagName === 'SELECT' || el.type === 'checkbox' || el.type === 'date' ? 'change' : 'input';
+    el.dispatchEvent(new Event(eventType, { bubbles: true }));
+  });
+  if (draft.incomeMode && !isIncomeMode) toggleTransactionType();
+  document.querySelector('.tab-content').scrollTop = draft.scrollTop || 0;
+}
+
 // ─── Render All ───────────────────────────────────────────
 function renderAll() {
   renderHeaderMonth();
+  renderProfileSwitcher();
+  renderCurrencyLabels();
+  renderCurrencyOptions();
+  renderCategoryOptions();
+  renderAccountOptions();
   renderBudgetHero();
+  renderCategoryBudgets();
+  renderAccounts();
+  renderSavingsGoals();
   renderTransactionsList();
+  renderCategoryBreakdown();
   const activeTab = document.querySelector('.tab-panel.active');
   if (activeTab) {
     const name = activeTab.id.replace('tab-', '');
     if (name === 'history') renderHistory();
+    if (name === 'search') renderSearchResults();
     if (name === 'settings') renderSettings();
   }
 }
@@ -719,12 +4714,24 @@ document.getElementById('modalConfirmBtn').addEventListener('click', () => {
 });
 
 // ─── Toast ────────────────────────────────────────────────
-function showToast(msg) {
+/** action: optional { label, onClick } shown as a button on the toast. */
+function showToast(msg, action = null) {
   const toast = document.getElementById('toast');
   toast.textContent = msg;
+  if (action) {
+    const btn = document.createElement('button');
+    btn.className = 'toast-action';
+    btn.textContent = action.label;
+    btn.addEventListener('click', () => {
+      toast.classList.remove('show');
+      action.onClick();
+    });
+    toast.appendChild(btn);
+  }
+  toast.classList.toggle('has-action', !!action);
   toast.classList.add('show');
   clearTimeout(toastTimer);
-  toastTimer = setTimeout(() => toast.classList.remove('show'), 2200);
+  toastTimer = setTimeout(() => toast.classList.remove('show'), action ? 5000 : 2200);
 }
 
 // ─── Utilities ────────────────────────────────────────────
@@ -754,30 +4761,71 @@ document.getElementById('editDescription').addEventListener('keydown', (e) => {
   if (e.key === 'Enter') { e.preventDefault(); saveEditTx(); }
 });
 
+document.getElementById('newCategoryInput').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') { e.preventDefault(); addCategory(); }
+});
+
 document.getElementById('appTitle').addEventListener('keydown', (e) => {
-  if (e.key === 'Enter' || e.key === ' ') window.location.reload();
+  if (e.key === 'Enter' || e.key === ' ') refreshApp();
+});
+
+// Ctrl/Cmd+Z to undo, Shift+Ctrl/Cmd+Z or Ctrl+Y to redo – left alone inside
+// text fields so the browser's own text undo still works there
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select')) return;
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) { e.preventDefault(); undo(); }
+  else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redo(); }
 });
 
 // Close edit sheet on escape
 document.addEventListener('keydown', (e) => {
   if (e.key === 'Escape') {
     closeEditModal();
+    closeRecurringModal();
+    closeTransferModal();
+    closeContributionModal();
+    closeCsvModal();
+    closeImportModal();
     closeModal();
   }
 });
 
 // ─── Service Worker Registration ─────────────────────────
+// sw.js itself skips the HTTP cache so a new release is always noticed
 if ('serviceWorker' in navigator) {
   window.addEventListener('load', () => {
-    navigator.serviceWorker.register('sw.js').catch(() => {});
+    navigator.serviceWorker.register('sw.js', { updateViaCache: 'none' }).then(watchForUpdates).catch(() => {});
+  });
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updateRequested) {
+      reloadApp();
+      return;
+    }
+    // Another window switched over – the next reload picks the new version up
+    waitingWorker = null;
+  });
+
+  // Home-screen apps are resumed far more often than relaunched
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState !== 'visible') return;
+    navigator.serviceWorker.getRegistration().then(reg => reg && reg.update()).catch(() => {});
   });
 }
 
 // ─── Init ─────────────────────────────────────────────────
-(function init() {
-  loadData();
+(async function init() {
+  loadProfiles();
+  await loadData();
   checkMonthlyReset();
+  checkPeriodReset();
+  postDueRecurring();
   renderAll();
+  restoreFormDraft();
+  requestPersistentStorage(true);
+  cleanupOrphanAttachments();
+  checkBudgetAlerts();
 
   setTimeout(() => {
     if (window.innerWidth > 768) {
@@ -0,0 +1,1256 @@
+/* =========================================================
+   SimpleBudget - Budget Engine
+   Data model, schema and budget math with no DOM access, shared by
+   the web app (app.js) and the command-line tool (cli.js)
+   ========================================================= */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BudgetEngine = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Functions that work on budget data take it as their first argument (d).
+  // Anything that depends on today's date takes the clock as its last
+  // argument (now, a Date that defaults to the real time), so the same code
+  // runs in the app, in the CLI and in scripts pinned to a fixed date.
+
+  // ─── Data Model ───────────────────────────────────────────
+  const DATA_VERSION = 11;
+  const UNCATEGORIZED_LABEL = 'Uncategorized';
+  const DEFAULT_CATEGORIES = [
+    'Groceries', 'Dining', 'Housing', 'Transportation',
+    'Utilities', 'Entertainment', 'Health', 'Shopping'
+  ];
+
+  /** Budget period modes, see Budget Periods below. */
+  const PERIOD_MODES = {
+    monthly: 'Monthly',
+    weekly: 'Weekly',
+    biweekly: 'Every two weeks',
+    semimonthly: 'Twice a month (1st & 16th)'
+  };
+
+  const RECURRING_SCHEDULES = {
+    monthly: 'Monthly',
+    weekly: 'Weekly',
+    biweekly: 'Every 2 weeks'
+  };
+
+  /** 'YYYY-MM' of the month `now` falls in. */
+  function currentMonthKey(now = new Date()) {
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  function emptyData(now = new Date()) {
+    return {
+      version: DATA_VERSION,
+      settings: {
+        annualBudget: 0,
+        yearStartMonth: 1,                // month the budget year starts (1 = January, 7 = July)
+        periodMode: 'monthly',            // 'monthly' | 'weekly' | 'biweekly' | 'semimonthly', see Budget Periods
+        periodAnchor: defaultPeriodAnchor(now), // 'YYYY-MM-DD' any start of a weekly/biweekly period
+        carryOver: false,                 // add last year's surplus/deficit to this year's budget
+        historyYears: 2,                  // years of editable history incl. this one (null = forever)
+        archiveTransactions: false,       // keep full transactions in the long-term archive
+        locale: 'en-US',                  // number and date formatting
+        currencySymbol: '$',
+        currencyDecimals: 2,
+        currencyPosition: 'before',       // 'before' | 'after' the amount
+        exchangeRates: {},                // { "EUR": 1.08 } base-currency units per 1 unit of the code
+        categories: defaultCategories(),  // [{ id, name, budget, budgetPeriod }]
+        accounts: [],                     // [{ id, name, openingBalance }], see Accounts
+        savingsGoals: [],                 // [{ id, name, target, targetDate }], see Savings Goals
+        alertsEnabled: false,             // notify when spending crosses alertThresholds, see Budget Alerts
+        alertThresholds: [70, 90],        // % of the monthly goal / category budget
+        categoryAlerts: true              // also alert on category budgets
+      },
+      currentMonth: currentMonthKey(now),
+      currentPeriod: null,   // start date of the period the last reset was for (non-monthly modes)
+      transactions: [],      // current month; amount is always in the base currency, see Currencies;
+                             // optional account id, and transferTo for transfers (see Accounts);
+                             // savingsGoal for savings contributions (see Savings Goals);
+                             // optional splits[] dividing it between categories (see Split Transactions);
+                             // optional note (the photo itself is stored separately, see Attachments)
+      history: {},           // { "YYYY-MM": { goal, transactions[] } }
+      recurring: [],         // [{ id, amount, description, category, schedule, dayOfMonth, startDate, endDate, lastPosted }]
+      yearEnds: {},          // { "YYYY": { annualBudget, net, remaining } } closing snapshot of each finished budget year
+      archive: {},           // { "YYYY-MM": { goal, spent, income, count, accounts?, saved?, savings?, transactions? } } read-only, past retention
+      alertLog: []           // [{ month, scope, threshold, message, sentAt, channel, period?, cleared? }] newest first
+    };
+  }
+
+  /** The Monday of the week `now` falls in. */
+  function defaultPeriodAnchor(now = new Date()) {
+    return toDateKey(addDays(now, -((now.getDay() + 6) % 7)));
+  }
+
+  function defaultCategories() {
+    return DEFAULT_CATEGORIES.map(name => newCategory(name));
+  }
+
+  /** budget: envelope allocation (0 = no envelope), budgetPeriod: 'monthly' | 'annual' */
+  function newCategory(name) {
+    return { id: generateId(), name, budget: 0, budgetPeriod: 'monthly' };
+  }
+
+  function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+  }
+
+  // ─── Schema & Migrations ──────────────────────────────────
+  const DATE_KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+  const MONTH_KEY_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+  /** Upgrade steps keyed by the version they upgrade FROM. Each step mutates the
+   *  object in place; validateData() runs afterwards, so a step only needs to add
+   *  or reshape fields, not check every record. Steps that fill in dates get the
+   *  caller's clock as `now`. */
+  const MIGRATIONS = {
+    // v1 → v2: categories with envelope budgets, category on transactions, recurring items
+    1: (d) => {
+      d.settings = d.settings || {};
+      if (!Array.isArray(d.settings.categories)) d.settings.categories = defaultCategories();
+      d.settings.categories.forEach(c => {
+        if (!c || typeof c !== 'object') return;
+        if (c.budget === undefined) c.budget = 0;
+        if (!c.budgetPeriod) c.budgetPeriod = 'monthly';
+      });
+      if (!Array.isArray(d.recurring)) d.recurring = [];
+      transactionListsOf(d).forEach(({ list }) => list.forEach(tx => {
+        if (tx && typeof tx === 'object' && tx.category === undefined) tx.category = '';
+      }));
+    },
+
+    // v2 → v3: explicit year-end snapshots and optional carryover
+    2: (d) => {
+      d.settings = d.settings || {};
+      if (d.settings.carryOver === undefined) d.settings.carryOver = false;
+      if (!d.yearEnds || typeof d.yearEnds !== 'object') d.yearEnds = {};
+    },
+
+    // v3 → v4: configurable retention and the long-term archive
+    3: (d) => {
+      d.settings = d.settings || {};
+      if (d.settings.historyYears === undefined) d.settings.historyYears = 2;
+      if (d.settings.archiveTransactions === undefined) d.settings.archiveTransactions = false;
+      if (!d.archive || typeof d.archive !== 'object') d.archive = {};
+    },
+
+    // v4 → v5: locale and currency display settings (previously fixed to en-US dollars)
+    4: (d) => {
+      d.settings = d.settings || {};
+      if (d.settings.locale === undefined) d.settings.locale = 'en-US';
+      if (d.settings.currencySymbol === undefined) d.settings.currencySymbol = '$';
+      if (d.settings.currencyDecimals === undefined) d.settings.currencyDecimals = 2;
+      if (d.settings.currencyPosition === undefined) d.settings.currencyPosition = 'before';
+    },
+
+    // v5 → v6: exchange-rate table for transactions entered in other currencies
+    5: (d) => {
+      d.settings = d.settings || {};
+      if (!d.settings.exchangeRates || typeof d.settings.exchangeRates !== 'object') d.settings.exchangeRates = {};
+    },
+
+    // v6 → v7: budget year may start in any month (years before this were calendar years)
+    6: (d) => {
+      d.settings = d.settings || {};
+      if (d.settings.yearStartMonth === undefined) d.settings.yearStartMonth = 1;
+    },
+
+    // v7 → v8: weekly / biweekly / semi-monthly budget periods
+    7: (d, now) => {
+      d.settings = d.settings || {};
+      if (d.settings.periodMode === undefined) d.settings.periodMode = 'monthly';
+      if (d.settings.periodAnchor === undefined) d.settings.periodAnchor = defaultPeriodAnchor(now);
+      if (d.currentPeriod === undefined) d.currentPeriod = null;
+    },
+
+    // v8 → v9: accounts with opening balances; transactions may name an account
+    8: (d) => {
+      d.settings = d.settings || {};
+      if (!Array.isArray(d.settings.accounts)) d.settings.accounts = [];
+    },
+
+    // v9 → v10: opt-in budget threshold alerts and the log of alerts sent
+    9: (d) => {
+      d.settings = d.settings || {};
+      if (d.settings.alertsEnabled === undefined) d.settings.alertsEnabled = false;
+      if (d.settings.alertThresholds === undefined) d.settings.alertThresholds = [70, 90];
+      if (d.settings.categoryAlerts === undefined) d.settings.categoryAlerts = true;
+      if (!Array.isArray(d.alertLog)) d.alertLog = [];
+    },
+
+    // v10 → v11: savings goals; transactions may be contributions to one
+    10: (d) => {
+      d.settings = d.settings || {};
+      if (!Array.isArray(d.settings.savingsGoals)) d.settings.savingsGoals = [];
+    }
+  };
+
+  /** Run every migration from d.version up to DATA_VERSION. Returns the starting version. */
+  function migrateData(d, now = new Date()) {
+    const from = parseInt(d.version, 10) || 1;
+    if (from > DATA_VERSION) {
+      throw new Error(`Made by a newer version of SimpleBudget (data v${from})`);
+    }
+    for (let v = from; v < DATA_VERSION; v++) MIGRATIONS[v](d, now);
+    d.version = DATA_VERSION;
+    return from;
+  }
+
+  /** Migrate and validate stored or imported data without touching the caller's object.
+   *  strict: refuse anything that doesn't look like a SimpleBudget export (used for imports).
+   *  Throws on unusable input; otherwise returns { data, issues, migratedFrom }.
+   *  now: the clock for defaults filled in along the way (current month, period anchor). */
+  function normalizeData(raw, strict = false, now = new Date()) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('Not a SimpleBudget file');
+    }
+    if (strict && (!raw.settings || raw.transactions === undefined)) {
+      throw new Error('Missing settings or transactions');
+    }
+
+    const copy = JSON.parse(JSON.stringify(raw));
+    const migratedFrom = migrateData(copy, now);
+    const result = Object.assign(emptyData(now), copy);
+    const issues = validateData(result, now);
+    return { data: result, issues, migratedFrom };
+  }
+
+  /** Every transaction array in a data object, with a readable label for reports. */
+  function transactionListsOf(d) {
+    const lists = [];
+    if (Array.isArray(d.transactions)) lists.push({ label: 'Current month', list: d.transactions });
+    if (d.history && typeof d.history === 'object') {
+      Object.keys(d.history).forEach(key => {
+        const month = d.history[key];
+        if (month && Array.isArray(month.transactions)) lists.push({ label: key, list: month.transactions });
+      });
+    }
+    return lists;
+  }
+
+  function isValidDateKey(str) {
+    return typeof str === 'string' && DATE_KEY_RE.test(str) && toDateKey(parseDateKey(str)) === str;
+  }
+
+  /** Numbers pass through; numeric strings like "12.50" are converted; anything else is NaN. */
+  function toNumber(v) {
+    if (typeof v === 'number') return v;
+    if (typeof v === 'string' && v.trim() !== '') return Number(v);
+    return NaN;
+  }
+
+  /** Check every record, repairing what can be repaired in place and removing what
+   *  can't. Returns one issue per problem: { where, problem, action: 'repaired' | 'removed' }. */
+  function validateData(d, now = new Date()) {
+    const issues = [];
+    const report = (where, problem, action) => issues.push({ where, problem, action });
+
+    // Settings
+    if (!d.settings || typeof d.settings !== 'object' || Array.isArray(d.settings)) {
+      report('Settings', 'missing or not an object', 'repaired');
+      d.settings = emptyData().settings;
+    }
+    const annual = toNumber(d.settings.annualBudget ?? 0);
+    if (!isFinite(annual) || annual < 0) {
+      report('Annual budget', `"${d.settings.annualBudget}" is not a valid amount`, 'repaired');
+      d.settings.annualBudget = 0;
+    } else if (annual !== d.settings.annualBudget) {
+      report('Annual budget', `"${d.settings.annualBudget}" stored as text`, 'repaired');
+      d.settings.annualBudget = annual;
+    }
+    d.settings.carryOver = d.settings.carryOver === true;
+    const startMonth = parseInt(d.settings.yearStartMonth, 10);
+    d.settings.yearStartMonth = startMonth >= 1 && startMonth <= 12 ? startMonth : 1;
+    if (!PERIOD_MODES[d.settings.periodMode]) {
+      report('Budget period', `"${d.settings.periodMode}" is not a known period`, 'repaired');
+      d.settings.periodMode = 'monthly';
+    }
+    if (!isValidDateKey(d.settings.periodAnchor)) d.settings.periodAnchor = defaultPeriodAnchor(now);
+    if (d.currentPeriod !== null && !isValidDateKey(d.currentPeriod)) d.currentPeriod = null;
+    d.settings.archiveTransactions = d.settings.archiveTransactions === true;
+    if (d.settings.historyYears !== null) {
+      const years = parseInt(d.settings.historyYears, 10);
+      d.settings.historyYears = years >= 1 ? years : 2;
+    }
+    validateDisplaySettings(d.settings, report);
+    d.settings.categories = validateCategories(d.settings.categories, report);
+    d.settings.accounts = validateAccounts(d.settings.accounts, report);
+    d.settings.savingsGoals = validateSavingsGoals(d.settings.savingsGoals, report);
+    d.settings.alertsEnabled = d.settings.alertsEnabled === true;
+    d.settings.categoryAlerts = d.settings.categoryAlerts !== false;
+    d.settings.alertThresholds = parseAlertThresholds(d.settings.alertThresholds);
+
+    if (typeof d.currentMonth !== 'string' || !MONTH_KEY_RE.test(d.currentMonth)) {
+      report('Current month', `"${d.currentMonth}" is not a YYYY-MM month`, 'repaired');
+      d.currentMonth = currentMonthKey(now);
+    }
+
+    // Transactions – ids must be unique across the current month and all history
+    const seenIds = new Map();
+    if (!Array.isArray(d.transactions)) {
+      report('Current month', 'transactions is not a list', 'repaired');
+      d.transactions = [];
+    }
+    d.transactions = validateTransactions(d.transactions, 'Current month', seenIds, report);
+
+    if (!d.history || typeof d.history !== 'object' || Array.isArray(d.history)) {
+      report('History', 'missing or not an object', 'repaired');
+      d.history = {};
+    }
+    Object.keys(d.history).forEach(key => {
+      const month = d.history[key];
+      if (!MONTH_KEY_RE.test(key) || !month || typeof month !== 'object') {
+        report(`History "${key}"`, 'not a valid month', 'removed');
+        delete d.history[key];
+        return;
+      }
+      const goal = toNumber(month.goal ?? 0);
+      if (!isFinite(goal)) {
+        report(`${key} goal`, `"${month.goal}" is not a valid amount`, 'repaired');
+        month.goal = 0;
+      } else if (goal !== month.goal) {
+        report(`${key} goal`, `"${month.goal}" stored as text`, 'repaired');
+        month.goal = goal;
+      }
+      if (!Array.isArray(month.transactions)) {
+        report(key, 'transactions is not a list', 'repaired');
+        month.transactions = [];
+      }
+      month.transactions = validateTransactions(month.transactions, key, seenIds, report);
+    });
+
+    if (!Array.isArray(d.recurring)) {
+      report('Recurring', 'not a list', 'repaired');
+      d.recurring = [];
+    }
+    d.recurring = validateRecurring(d.recurring, report);
+
+    if (!d.yearEnds || typeof d.yearEnds !== 'object' || Array.isArray(d.yearEnds)) d.yearEnds = {};
+    Object.keys(d.yearEnds).forEach(year => {
+      const y = d.yearEnds[year];
+      const fields = y && typeof y === 'object' ? ['annualBudget', 'net', 'remaining'].map(f => toNumber(y[f])) : [NaN];
+      if (!/^\d{4}$/.test(year) || fields.some(n => !isFinite(n))) {
+        report(`Year-end ${year}`, 'invalid totals', 'removed');
+        delete d.yearEnds[year];
+      }
+    });
+
+    if (!Array.isArray(d.alertLog)) d.alertLog = [];
+    const alertCount = d.alertLog.length;
+    d.alertLog = d.alertLog.filter(e => e && typeof e === 'object' && MONTH_KEY_RE.test(e.month) &&
+      typeof e.scope === 'string' && typeof e.threshold === 'number' && typeof e.message === 'string' &&
+      typeof e.sentAt === 'string' && isValidDateKey(e.sentAt.slice(0, 10)) &&
+      (e.channel === 'notification' || e.channel === 'in-app') &&
+      (e.period === undefined || isValidDateKey(e.period)));
+    if (d.alertLog.length < alertCount) {
+      const n = alertCount - d.alertLog.length;
+      report('Alert log', `${n} invalid entr${n !== 1 ? 'ies' : 'y'}`, 'removed');
+    }
+
+    if (!d.archive || typeof d.archive !== 'object' || Array.isArray(d.archive)) d.archive = {};
+    Object.keys(d.archive).forEach(key => {
+      const m = d.archive[key];
+      const totals = m && typeof m === 'object' ? ['goal', 'spent', 'income', 'count'].map(f => toNumber(m[f])) : [NaN];
+      if (!MONTH_KEY_RE.test(key) || totals.some(n => !isFinite(n))) {
+        report(`Archive ${key}`, 'invalid totals', 'removed');
+        delete d.archive[key];
+        return;
+      }
+      [m.goal, m.spent, m.income, m.count] = totals;
+      if (m.accounts !== undefined) {
+        const valid = m.accounts && typeof m.accounts === 'object' &&
+          Object.values(m.accounts).every(n => typeof n === 'number' && isFinite(n));
+        if (!valid) {
+          report(`Archive ${key}`, 'invalid account totals', 'repaired');
+          delete m.accounts;
+        }
+      }
+      if (m.saved !== undefined) {
+        const saved = toNumber(m.saved);
+        if (isFinite(saved)) m.saved = saved;
+        else delete m.saved;
+      }
+      if (m.savings !== undefined) {
+        const valid = m.savings && typeof m.savings === 'object' &&
+          Object.values(m.savings).every(n => typeof n === 'number' && isFinite(n));
+        if (!valid) {
+          report(`Archive ${key}`, 'invalid savings totals', 'repaired');
+          delete m.savings;
+        }
+      }
+      if (m.transactions !== undefined) {
+        if (!Array.isArray(m.transactions)) delete m.transactions;
+        else m.transactions = validateTransactions(m.transactions, `Archive ${key}`, seenIds, report);
+      }
+    });
+
+    return issues;
+  }
+
+  function validateDisplaySettings(settings, report) {
+    let supported = false;
+    try {
+      supported = typeof settings.locale === 'string' && Intl.NumberFormat.supportedLocalesOf(settings.locale).length > 0;
+    } catch (e) { /* malformed tag */ }
+    if (!supported) {
+      report('Locale', `"${settings.locale}" is not a supported locale`, 'repaired');
+      settings.locale = 'en-US';
+    }
+    if (typeof settings.currencySymbol !== 'string' || settings.currencySymbol.length > 5) {
+      report('Currency symbol', `"${settings.currencySymbol}" is not a short symbol`, 'repaired');
+      settings.currencySymbol = '$';
+    }
+    // Amounts are stored to the cent, so more places would only show zeros
+    const decimals = parseInt(settings.currencyDecimals, 10);
+    if (!(decimals >= 0 && decimals <= 2)) {
+      report('Decimal places', `"${settings.currencyDecimals}" is not 0, 1 or 2`, 'repaired');
+      settings.currencyDecimals = 2;
+    } else {
+      settings.currencyDecimals = decimals;
+    }
+    if (settings.currencyPosition !== 'after') settings.currencyPosition = 'before';
+
+    const rates = settings.exchangeRates;
+    settings.exchangeRates = {};
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates)) return;
+    Object.keys(rates).forEach(code => {
+      const rate = toNumber(rates[code]);
+      if (!isCurrencyCode(code) || !isFinite(rate) || rate <= 0) {
+        report(`Exchange rate ${code}`, `"${rates[code]}" is not a valid rate`, 'removed');
+        return;
+      }
+      settings.exchangeRates[code] = rate;
+    });
+  }
+
+  function validateCategories(cats, report) {
+    if (!Array.isArray(cats)) {
+      report('Categories', 'not a list', 'repaired');
+      return defaultCategories();
+    }
+    const ids = new Set();
+    return cats.filter((c, i) => {
+      const where = `Category ${i + 1}`;
+      if (!c || typeof c !== 'object' || typeof c.id !== 'string' || !c.id ||
+          typeof c.name !== 'string' || !c.name.trim()) {
+        report(where, 'missing id or name', 'removed');
+        return false;
+      }
+      if (ids.has(c.id)) {
+        report(`Category "${c.name}"`, 'duplicate id', 'removed');
+        return false;
+      }
+      ids.add(c.id);
+      const budget = toNumber(c.budget ?? 0);
+      if (!isFinite(budget) || budget < 0) {
+        report(`Category "${c.name}"`, `budget "${c.budget}" is not a valid amount`, 'repaired');
+        c.budget = 0;
+      } else {
+        c.budget = budget;
+      }
+      if (c.budgetPeriod !== 'monthly' && c.budgetPeriod !== 'annual') c.budgetPeriod = 'monthly';
+      return true;
+    });
+  }
+
+  function validateAccounts(accounts, report) {
+    if (!Array.isArray(accounts)) {
+      if (accounts !== undefined) report('Accounts', 'not a list', 'repaired');
+      return [];
+    }
+    const ids = new Set();
+    return accounts.filter((a, i) => {
+      if (!a || typeof a !== 'object' || typeof a.id !== 'string' || !a.id ||
+          typeof a.name !== 'string' || !a.name.trim() || ids.has(a.id)) {
+        report(`Account ${i + 1}`, 'missing or duplicate id, or no name', 'removed');
+        return false;
+      }
+      ids.add(a.id);
+      const opening = toNumber(a.openingBalance ?? 0);
+      if (!isFinite(opening)) {
+        report(`Account "${a.name}"`, `opening balance "${a.openingBalance}" is not a valid amount`, 'repaired');
+        a.openingBalance = 0;
+      } else {
+        a.openingBalance = Math.round(opening * 100) / 100;
+      }
+      return true;
+    });
+  }
+
+  function validateSavingsGoals(goals, report) {
+    if (!Array.isArray(goals)) {
+      if (goals !== undefined) report('Savings goals', 'not a list', 'repaired');
+      return [];
+    }
+    const ids = new Set();
+    return goals.filter((g, i) => {
+      if (!g || typeof g !== 'object' || typeof g.id !== 'string' || !g.id ||
+          typeof g.name !== 'string' || !g.name.trim() || ids.has(g.id)) {
+        report(`Savings goal ${i + 1}`, 'missing or duplicate id, or no name', 'removed');
+        return false;
+      }
+      ids.add(g.id);
+      const target = toNumber(g.target ?? 0);
+      if (!isFinite(target) || target < 0) {
+        report(`Savings goal "${g.name}"`, `target "${g.target}" is not a valid amount`, 'repaired');
+        g.target = 0;
+      } else {
+        g.target = Math.round(target * 100) / 100;
+      }
+      if (g.targetDate != null && !isValidDateKey(g.targetDate)) {
+        report(`Savings goal "${g.name}"`, `target date "${g.targetDate}" is invalid`, 'repaired');
+        g.targetDate = null;
+      }
+      if (g.targetDate === undefined) g.targetDate = null;
+      return true;
+    });
+  }
+
+  /** seenIds: id → transaction, shared across buckets to catch duplicates between months. */
+  function validateTransactions(list, label, seenIds, report) {
+    return list.filter((tx, i) => {
+      const where = `${label} #${i + 1}`;
+      if (!tx || typeof tx !== 'object' || Array.isArray(tx)) {
+        report(where, 'not a transaction', 'removed');
+        return false;
+      }
+      const name = typeof tx.description === 'string' && tx.description ? ` "${tx.description}"` : '';
+
+      if (!isValidDateKey(tx.date)) {
+        report(where + name, `date "${tx.date}" is not a valid YYYY-MM-DD date`, 'removed');
+        return false;
+      }
+      const amount = toNumber(tx.amount);
+      if (!isFinite(amount) || amount === 0) {
+        report(where + name, `amount "${tx.amount}" is not a valid non-zero number`, 'removed');
+        return false;
+      }
+      if (amount !== tx.amount) {
+        report(where + name, `amount "${tx.amount}" stored as text`, 'repaired');
+      }
+      tx.amount = Math.round(amount * 100) / 100;
+
+      if (typeof tx.description !== 'string') {
+        report(where, 'missing description', 'repaired');
+        tx.description = tx.amount < 0 ? 'Expense' : 'Income';
+      }
+      if (typeof tx.time !== 'string') tx.time = '';
+      if (typeof tx.category !== 'string') tx.category = '';
+      if (tx.note !== undefined && (typeof tx.note !== 'string' || !tx.note)) delete tx.note;
+      if (tx.account !== undefined && typeof tx.account !== 'string') {
+        report(where + name, 'invalid account', 'repaired');
+        delete tx.account;
+      }
+      if (tx.transferTo !== undefined) {
+        if (typeof tx.transferTo !== 'string') {
+          report(where + name, 'invalid transfer account', 'removed');
+          return false;
+        }
+        tx.amount = -Math.abs(tx.amount);   // transfers are stored as money leaving tx.account
+      }
+      if (tx.savingsGoal !== undefined) {
+        if (typeof tx.savingsGoal !== 'string' || isTransfer(tx)) {
+          report(where + name, 'invalid savings goal – kept as an expense', 'repaired');
+          delete tx.savingsGoal;
+        } else {
+          tx.amount = -Math.abs(tx.amount);   // contributions are money put aside
+        }
+      }
+      if (tx.splits !== undefined && !validSplits(tx)) {
+        report(where + name, "split lines don't add up to the amount – kept as one line", 'repaired');
+        delete tx.splits;
+      }
+      if (tx.original !== undefined) {
+        const o = tx.original;
+        const valid = o && typeof o === 'object' && isCurrencyCode(o.currency) &&
+          toNumber(o.amount) > 0 && toNumber(o.rate) > 0;
+        if (valid) {
+          tx.original = { currency: o.currency, amount: toNumber(o.amount), rate: toNumber(o.rate) };
+        } else {
+          report(where + name, 'invalid original currency amount – kept base amount only', 'repaired');
+          delete tx.original;
+        }
+      }
+
+      if (typeof tx.id !== 'string' || !tx.id) {
+        report(where + name, 'missing id', 'repaired');
+        tx.id = generateId();
+      } else if (seenIds.has(tx.id)) {
+        if (sameTransaction(seenIds.get(tx.id), tx)) {
+          report(where + name, `duplicate of transaction ${tx.id}`, 'removed');
+          return false;
+        }
+        report(where + name, `id ${tx.id} already used by a different transaction`, 'repaired');
+        tx.id = generateId();
+      }
+      seenIds.set(tx.id, tx);
+      return true;
+    });
+  }
+
+  /** Splits need two or more lines with the transaction's sign that add up to
+   *  its amount. Numeric strings are converted in place. */
+  function validSplits(tx) {
+    const parts = tx.splits;
+    if (!Array.isArray(parts) || parts.length < 2 || !isBudgetTransaction(tx)) return false;
+    let sum = 0;
+    for (const part of parts) {
+      const amount = part && typeof part === 'object' ? toNumber(part.amount) : NaN;
+      if (!isFinite(amount) || amount === 0 || Math.sign(amount) !== Math.sign(tx.amount)) return false;
+      part.amount = Math.round(amount * 100) / 100;
+      if (typeof part.category !== 'string') part.category = '';
+      if (typeof part.description !== 'string') part.description = '';
+      sum += part.amount;
+    }
+    return Math.abs(sum - tx.amount) < 0.005;
+  }
+
+  function validateRecurring(list, report) {
+    const ids = new Set();
+    return list.filter((rec, i) => {
+      const where = `Recurring #${i + 1}`;
+      if (!rec || typeof rec !== 'object' || typeof rec.id !== 'string' || !rec.id || ids.has(rec.id)) {
+        report(where, 'missing or duplicate id', 'removed');
+        return false;
+      }
+      const amount = toNumber(rec.amount);
+      if (!isFinite(amount) || amount === 0 || !RECURRING_SCHEDULES[rec.schedule] || !isValidDateKey(rec.startDate)) {
+        report(where, 'invalid amount, schedule or start date', 'removed');
+        return false;
+      }
+      ids.add(rec.id);
+      rec.amount = Math.round(amount * 100) / 100;
+      if (typeof rec.description !== 'string') rec.description = rec.amount < 0 ? 'Expense' : 'Income';
+      if (typeof rec.category !== 'string') rec.category = '';
+      if (rec.schedule === 'monthly') {
+        const day = parseInt(rec.dayOfMonth, 10);
+        if (!(day >= 1 && day <= 31)) {
+          report(where, `day of month "${rec.dayOfMonth}" is invalid`, 'repaired');
+          rec.dayOfMonth = parseDateKey(rec.startDate).getDate();
+        } else {
+          rec.dayOfMonth = day;
+        }
+      }
+      if (rec.endDate != null && !isValidDateKey(rec.endDate)) {
+        report(where, `end date "${rec.endDate}" is invalid`, 'repaired');
+        rec.endDate = null;
+      }
+      if (rec.lastPosted != null && !isValidDateKey(rec.lastPosted)) rec.lastPosted = null;
+      return true;
+    });
+  }
+
+  function isCurrencyCode(code) {
+    return typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+  }
+
+  /** "70, 90" or [70, 90] → sorted unique whole percentages (1–200). */
+  function parseAlertThresholds(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[\s,;%]+/);
+    const thresholds = [...new Set(list.map(v => parseInt(v, 10)).filter(n => n >= 1 && n <= 200))];
+    return thresholds.length ? thresholds.sort((a, b) => a - b) : [70, 90];
+  }
+
+  /** The file written by Export to JSON (and by the CLI when it saves one). */
+  function exportObject(d, now = new Date()) {
+    return {
+      version: d.version || DATA_VERSION,
+      exportedAt: now.toISOString(),
+      settings: d.settings,
+      currentMonth: d.currentMonth,
+      transactions: d.transactions,
+      history: d.history,
+      currentPeriod: d.currentPeriod,
+      recurring: d.recurring,
+      yearEnds: d.yearEnds,
+      archive: d.archive,
+      alertLog: d.alertLog
+    };
+  }
+
+  /** Field-by-field comparison; a missing field equals an empty one. */
+  function sameTransaction(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(k => JSON.stringify(a[k] ?? '') === JSON.stringify(b[k] ?? ''));
+  }
+
+  // ─── Transactions ─────────────────────────────────────────
+  // Transfers between accounts (tx.transferTo) and savings contributions
+  // (tx.savingsGoal) are neither spending nor income, so every budget
+  // calculation goes through budgetTransactions().
+  function isTransfer(tx) {
+    return tx.transferTo !== undefined;
+  }
+
+  function isContribution(tx) {
+    return tx.savingsGoal !== undefined;
+  }
+
+  /** Neither a transfer nor a savings contribution – counts as spending or income. */
+  function isBudgetTransaction(tx) {
+    return !isTransfer(tx) && !isContribution(tx);
+  }
+
+  function budgetTransactions(list) {
+    return list.filter(isBudgetTransaction);
+  }
+
+  /** Total put aside by the contributions in a list. */
+  function calcSaved(list) {
+    return list.filter(isContribution).reduce((s, tx) => s - tx.amount, 0);
+  }
+
+  /** The lines a transaction is counted as: its splits, or the transaction itself. */
+  function txParts(tx) {
+    return tx.splits || [tx];
+  }
+
+  /** How much tx changes the balance of an account (0 if it doesn't touch it). */
+  function accountChange(tx, accountId) {
+    let change = 0;
+    if (tx.account === accountId) change += tx.amount;
+    if (isTransfer(tx) && tx.transferTo === accountId) change -= tx.amount;
+    return change;
+  }
+
+  function findCategory(d, id) {
+    if (!id) return null;
+    return (d.settings.categories || []).find(c => c.id === id) || null;
+  }
+
+  function getCategoryName(d, id) {
+    const cat = findCategory(d, id);
+    return cat ? cat.name : UNCATEGORIZED_LABEL;
+  }
+
+  /** Calls fn(tx) for every transaction in the current month and all history months. */
+  function forEachTransaction(d, fn) {
+    d.transactions.forEach(fn);
+    Object.keys(d.history).forEach(key => {
+      (d.history[key].transactions || []).forEach(fn);
+    });
+  }
+
+  function findTransaction(d, id) {
+    let found = null;
+    forEachTransaction(d, tx => { if (tx.id === id) found = tx; });
+    return found;
+  }
+
+  /** File a transaction under its month: the current month or a history bucket. */
+  function addTransactionToBucket(d, tx, monthKey = tx.date.slice(0, 7)) {
+    if (monthKey === d.currentMonth) {
+      d.transactions.unshift(tx);
+      d.transactions.sort((a, b) => b.date.localeCompare(a.date));
+    } else {
+      if (!d.history[monthKey]) {
+        d.history[monthKey] = { goal: 0, transactions: [] };
+      }
+      d.history[monthKey].transactions.unshift(tx);
+      d.history[monthKey].transactions.sort((a, b) => b.date.localeCompare(a.date));
+    }
+  }
+
+  /** monthKey: null = current month, 'YYYY-MM' = history bucket */
+  function removeTransactionFromBucket(d, id, monthKey = null) {
+    if (monthKey && d.history[monthKey]) {
+      d.history[monthKey].transactions =
+        d.history[monthKey].transactions.filter(t => t.id !== id);
+    } else {
+      d.transactions = d.transactions.filter(t => t.id !== id);
+    }
+  }
+
+  // ─── Calculations ─────────────────────────────────────────
+
+  /** The budget year a month belongs to, named by the calendar year it starts in.
+   *  With a July start, 2026-03 belongs to 2025 (July 2025 – June 2026). */
+  function budgetYearOf(d, monthKey) {
+    const month = parseInt(monthKey.slice(5, 7), 10);
+    return monthKeyYear(monthKey) - (month < d.settings.yearStartMonth ? 1 : 0);
+  }
+
+  /** 0 for the first month of the budget year, 11 for the last. */
+  function budgetMonthIndex(d, monthKey) {
+    return (parseInt(monthKey.slice(5, 7), 10) - d.settings.yearStartMonth + 12) % 12;
+  }
+
+  /** Months remaining in the month's budget year INCLUDING that month (first=12, last=1). */
+  function calcMonthsRemainingInYear(d, monthKey = d.currentMonth) {
+    return 12 - budgetMonthIndex(d, monthKey);
+  }
+
+  /** History months of the same budget year that come before monthKey. */
+  function priorMonthKeysThisYear(d, monthKey = d.currentMonth) {
+    const year = budgetYearOf(d, monthKey);
+    return Object.keys(d.history).filter(key => budgetYearOf(d, key) === year && key < monthKey);
+  }
+
+  /** Net spending plus savings contributions in PRIOR history months of the
+   *  month's year only. Excludes the month itself so the monthly goal stays fixed
+   *  regardless of what is spent during the month. */
+  function calcPriorMonthsNetThisYear(d, monthKey = d.currentMonth) {
+    let spent = 0, income = 0, saved = 0;
+    priorMonthKeysThisYear(d, monthKey).forEach(key => {
+      const txs = d.history[key].transactions || [];
+      budgetTransactions(txs).forEach(tx => {
+        if (tx.amount < 0) spent += Math.abs(tx.amount);
+        else income += tx.amount;
+      });
+      saved += calcSaved(txs);
+    });
+    return spent - income + saved;
+  }
+
+  /** Last year's closing surplus (+) or deficit (−), if carryover is on. */
+  function calcCarryOver(d, year) {
+    if (!d.settings.carryOver) return 0;
+    const prev = d.yearEnds[year - 1];
+    return prev ? prev.remaining : 0;
+  }
+
+  /** The year's budget: the annual budget setting plus any carryover. */
+  function calcAnnualBudget(d, year = budgetYearOf(d, d.currentMonth)) {
+    return (d.settings.annualBudget || 0) + calcCarryOver(d, year);
+  }
+
+  /** Monthly budget target, fixed at the start of the month.
+   *  = (year's budget − prior months' net spend) ÷ months remaining.
+   *  Does NOT change as transactions are added in the current month. */
+  function calcDynamicMonthlyGoal(d, monthKey = d.currentMonth) {
+    const monthsLeft = calcMonthsRemainingInYear(d, monthKey);
+    if (monthsLeft <= 0) return 0;
+    const annual = calcAnnualBudget(d, budgetYearOf(d, monthKey));
+    return (annual - calcPriorMonthsNetThisYear(d, monthKey)) / monthsLeft;
+  }
+
+  /** Remaining annual budget — includes current month spending, used for the meta line. */
+  function calcRemainingAnnual(d) {
+    const annual = calcAnnualBudget(d);
+    const priorNet = calcPriorMonthsNetThisYear(d);
+    const currentNet = calcMonthSpent(d) - calcMonthIncome(d) + calcMonthSaved(d);
+    return annual - priorNet - currentNet;
+  }
+
+  /** This month: how much is left of the dynamic monthly goal. Savings
+   *  contributions come out of it too, without counting as spending. */
+  function calcMonthlyRemaining(d) {
+    return calcDynamicMonthlyGoal(d) - calcMonthSpent(d) + calcMonthIncome(d) - calcMonthSaved(d);
+  }
+
+  /** Transfers and savings contributions are excluded from both totals. */
+  function calcMonthSpent(d) {
+    return budgetTransactions(d.transactions)
+      .filter(t => t.amount < 0)
+      .reduce((s, t) => s + Math.abs(t.amount), 0);
+  }
+
+  function calcMonthIncome(d) {
+    return budgetTransactions(d.transactions)
+      .filter(t => t.amount > 0)
+      .reduce((s, t) => s + t.amount, 0);
+  }
+
+  function calcMonthSaved(d) {
+    return calcSaved(d.transactions);
+  }
+
+  /** The under/over-budget rule everywhere a month or year is judged: spending
+   *  net of income plus savings contributions, against its goal. */
+  function isWithinGoal(net, saved, goal) {
+    return net + (saved || 0) <= goal;
+  }
+
+  function calcMonthTotals(transactions) {
+    let spent = 0, income = 0;
+    budgetTransactions(transactions).forEach(tx => {
+      if (tx.amount < 0) spent += Math.abs(tx.amount);
+      else income += tx.amount;
+    });
+    return { spent, income, net: spent - income };
+  }
+
+  /** Expense totals per category for a list of transactions, largest first.
+   *  Transactions with no (or a deleted) category are grouped as Uncategorized. */
+  function calcCategoryBreakdown(d, transactions) {
+    const totals = {};
+    let total = 0;
+    (transactions || []).forEach(tx => {
+      if (tx.amount >= 0 || !isBudgetTransaction(tx)) return;
+      txParts(tx).forEach(part => {
+        const id = findCategory(d, part.category) ? part.category : '';
+        totals[id] = (totals[id] || 0) + Math.abs(part.amount);
+        total += Math.abs(part.amount);
+      });
+    });
+    return Object.keys(totals)
+      .map(id => ({
+        id,
+        name: getCategoryName(d, id),
+        spent: totals[id],
+        pct: total > 0 ? totals[id] / total * 100 : 0
+      }))
+      .sort((a, b) => b.spent - a.spent);
+  }
+
+  /** Net spend (expenses − refunds) in one category for a list of transactions. */
+  function calcCategoryNet(categoryId, transactions) {
+    return budgetTransactions(transactions || [])
+      .reduce((s, tx) => s - txParts(tx)
+        .filter(part => part.category === categoryId)
+        .reduce((n, part) => n + part.amount, 0), 0);
+  }
+
+  /** Totals for every known month – archive, history and the current month – keyed by 'YYYY-MM'. */
+  function calcMonthSummaries(d) {
+    const out = {};
+    Object.keys(d.archive).forEach(key => {
+      const m = d.archive[key];
+      out[key] = { goal: m.goal || 0, spent: m.spent, income: m.income, net: m.spent - m.income, saved: m.saved || 0 };
+    });
+    Object.keys(d.history).forEach(key => {
+      const txs = d.history[key].transactions || [];
+      out[key] = Object.assign({ goal: d.history[key].goal || 0, saved: calcSaved(txs) }, calcMonthTotals(txs));
+    });
+    out[d.currentMonth] = Object.assign({ goal: calcDynamicMonthlyGoal(d), saved: calcMonthSaved(d), current: true },
+      calcMonthTotals(d.transactions));
+    return out;
+  }
+
+  // ─── Budget Periods ───────────────────────────────────────
+  // Storage stays grouped by month. Non-monthly modes divide the annual budget
+  // into shorter periods on top of it: a period belongs to the budget year its
+  // first day falls in, and its goal is what's left of that year's budget after
+  // the year's earlier periods, spread over the periods remaining.
+
+  /** { start, end } date keys (inclusive) of the period containing dateKey. */
+  function periodContaining(d, dateKey, mode = d.settings.periodMode) {
+    const [year, month, day] = dateKey.split('-').map(n => parseInt(n, 10));
+    const monthStart = dateKey.slice(0, 8);
+    const lastDay = new Date(year, month, 0).getDate();
+
+    if (mode === 'monthly') return { start: `${monthStart}01`, end: `${monthStart}${lastDay}` };
+    if (mode === 'semimonthly') {
+      return day <= 15
+        ? { start: `${monthStart}01`, end: `${monthStart}15` }
+        : { start: `${monthStart}16`, end: `${monthStart}${lastDay}` };
+    }
+
+    const length = mode === 'weekly' ? 7 : 14;
+    const date = parseDateKey(dateKey);
+    const diff = Math.round((date - parseDateKey(d.settings.periodAnchor)) / 86400000);
+    const start = addDays(date, -(((diff % length) + length) % length));
+    return { start: toDateKey(start), end: toDateKey(addDays(start, length - 1)) };
+  }
+
+  function nextPeriod(d, period) {
+    return periodContaining(d, toDateKey(addDays(parseDateKey(period.end), 1)));
+  }
+
+  function currentPeriod(d, now = new Date()) {
+    return periodContaining(d, toDateKey(now));
+  }
+
+  /** Every period starting within the budget year, in order. */
+  function periodsInBudgetYear(d, year) {
+    const startMonth = String(d.settings.yearStartMonth).padStart(2, '0');
+    const from = `${year}-${startMonth}-01`;
+    const until = `${year + 1}-${startMonth}-01`;
+    const periods = [];
+    let period = periodContaining(d, from);
+    if (period.start < from) period = nextPeriod(d, period);
+    while (period.start < until) {
+      periods.push(period);
+      period = nextPeriod(d, period);
+    }
+    return periods;
+  }
+
+  /** Net spending plus savings contributions of transactions dated from `from`
+   *  up to (not including) `until`. */
+  function calcNetBetween(d, from, until) {
+    let net = 0;
+    forEachTransaction(d, tx => {
+      if (tx.date >= from && tx.date < until && !isTransfer(tx)) net -= tx.amount;
+    });
+    return net;
+  }
+
+  function calcPeriodNet(d, period) {
+    return calcNetBetween(d, period.start, toDateKey(addDays(parseDateKey(period.end), 1)));
+  }
+
+  /** The period's share of its budget year: (budget − earlier periods' net) ÷ periods left. */
+  function calcPeriodGoal(d, period) {
+    const year = budgetYearOf(d, period.start.slice(0, 7));
+    const periods = periodsInBudgetYear(d, year);
+    const index = Math.max(0, periods.findIndex(p => p.start === period.start));
+    const priorNet = periods.length ? calcNetBetween(d, periods[0].start, period.start) : 0;
+    return (calcAnnualBudget(d, year) - priorNet) / (periods.length - index);
+  }
+
+  /** Transactions dated within the period, from whichever month bucket holds them.
+   *  Returns [{ tx, monthKey }] newest first; monthKey is null for the current month. */
+  function periodTransactions(d, period) {
+    const inPeriod = (tx) => tx.date >= period.start && tx.date <= period.end;
+    const entries = d.transactions.filter(inPeriod).map(tx => ({ tx, monthKey: null }));
+    Object.keys(d.history).forEach(key => {
+      (d.history[key].transactions || []).filter(inPeriod).forEach(tx => entries.push({ tx, monthKey: key }));
+    });
+    return entries.sort((a, b) => b.tx.date.localeCompare(a.tx.date) || (b.tx.time || '').localeCompare(a.tx.time || ''));
+  }
+
+  // ─── Monthly Reset ────────────────────────────────────────
+
+  /** Archive the month the data was left in, then every month skipped since,
+   *  each with the goal that would have applied at its start, and move on to
+   *  the month `now` falls in. Goals depend on the months before them, so this
+   *  has to go in order, and recurring items missed in each month are posted
+   *  before it's archived so year-end totals include them. Returns null if it's
+   *  still the same month (or the clock went backwards), else
+   *  { archived, closedYear, posted }. */
+  function checkMonthlyReset(d, now = new Date()) {
+    const currentKey = currentMonthKey(now);
+    if (d.currentMonth >= currentKey) return null;
+
+    let key = d.currentMonth;
+    let transactions = d.transactions;
+    let archived = 0;
+    let closedYear = null;
+    let posted = 0;
+    while (key < currentKey) {
+      posted += postRecurringThrough(d, toDateKey(addDays(parseDateKey(`${nextMonthKey(key)}-01`), -1)));
+      archiveMonth(d, key, transactions, calcDynamicMonthlyGoal(d, key));
+      archived++;
+      transactions = [];
+
+      const next = nextMonthKey(key);
+      if (budgetYearOf(d, next) !== budgetYearOf(d, key)) {
+        closeYear(d, budgetYearOf(d, key));
+        closedYear = budgetYearOf(d, key);
+      }
+      key = next;
+    }
+
+    // Move to new month, picking up anything already filed under it (e.g. a future-dated edit)
+    d.currentMonth = currentKey;
+    d.transactions = d.history[currentKey] ? d.history[currentKey].transactions : [];
+    delete d.history[currentKey];
+
+    pruneOldHistory(d);
+    return { archived, closedYear, posted };
+  }
+
+  /** Anything already filed under the month (e.g. a back-dated edit) is kept. */
+  function archiveMonth(d, monthKey, transactions, goal) {
+    if (!monthKey) return;
+    const existing = d.history[monthKey] ? d.history[monthKey].transactions || [] : [];
+    d.history[monthKey] = {
+      goal: goal || 0,
+      transactions: (transactions || []).concat(existing)
+    };
+  }
+
+  /** Snapshot a finished budget year so next year's carryover doesn't depend on
+   *  history that may later be pruned or edited. */
+  function closeYear(d, year) {
+    const budget = calcAnnualBudget(d, year);
+    const net = Object.keys(d.history)
+      .filter(key => budgetYearOf(d, key) === year)
+      .reduce((s, key) => {
+        const txs = d.history[key].transactions || [];
+        return s + calcMonthTotals(txs).net + calcSaved(txs);
+      }, 0);
+    d.yearEnds[year] = { annualBudget: budget, net, remaining: budget - net };
+  }
+
+  /** Months past the retention window move to the long-term archive. Returns how many moved. */
+  function pruneOldHistory(d) {
+    let moved = 0;
+    Object.keys(d.history).forEach(key => {
+      if (!isMonthRetained(d, key)) {
+        compactToArchive(d, key, d.history[key]);
+        delete d.history[key];
+        moved++;
+      }
+    });
+    return moved;
+  }
+
+  /** Editable history covers settings.historyYears budget years including this one (null = forever). */
+  function isMonthRetained(d, monthKey) {
+    const years = d.settings.historyYears;
+    if (years === null) return true;
+    return budgetYearOf(d, monthKey) > budgetYearOf(d, d.currentMonth) - years;
+  }
+
+  /** Reduce a history month to its totals, keeping the transactions only if the
+   *  user asked for them. Merges into an existing archive entry for the same month. */
+  function compactToArchive(d, monthKey, month) {
+    const txs = month.transactions || [];
+    const entry = d.archive[monthKey] || { goal: month.goal || 0, spent: 0, income: 0, count: 0 };
+    const totals = calcMonthTotals(txs);
+    entry.spent += totals.spent;
+    entry.income += totals.income;
+    entry.count += txs.length;
+    const saved = calcSaved(txs);
+    if (saved) entry.saved = (entry.saved || 0) + saved;
+    // Keep each account's and goal's net change so balances survive without the transactions
+    d.settings.accounts.forEach(account => {
+      const change = txs.reduce((s, tx) => s + accountChange(tx, account.id), 0);
+      if (change === 0) return;
+      entry.accounts = entry.accounts || {};
+      entry.accounts[account.id] = (entry.accounts[account.id] || 0) + change;
+    });
+    txs.forEach(tx => {
+      if (!isContribution(tx) || !tx.savingsGoal) return;
+      entry.savings = entry.savings || {};
+      entry.savings[tx.savingsGoal] = (entry.savings[tx.savingsGoal] || 0) - tx.amount;
+    });
+    if (d.settings.archiveTransactions) {
+      entry.transactions = (entry.transactions || []).concat(txs);
+    }
+    d.archive[monthKey] = entry;
+  }
+
+  // ─── Recurring Transactions ───────────────────────────────
+  /** Occurrence dates ('YYYY-MM-DD') of a recurring item after afterKey (exclusive)
+   *  up to untilKey (inclusive), clipped to the item's start and end dates.
+   *  Monthly items on day 29–31 fall on the last day of shorter months. */
+  function recurringDatesBetween(rec, afterKey, untilKey) {
+    const dates = [];
+    const last = rec.endDate && rec.endDate < untilKey ? rec.endDate : untilKey;
+    const start = parseDateKey(rec.startDate);
+
+    if (rec.schedule === 'weekly' || rec.schedule === 'biweekly') {
+      const step = rec.schedule === 'weekly' ? 7 : 14;
+      for (let d = start; toDateKey(d) <= last; d = addDays(d, step)) {
+        const key = toDateKey(d);
+        if (key > (afterKey || '')) dates.push(key);
+      }
+    } else {
+      const y = start.getFullYear();
+      for (let m = start.getMonth(); ; m++) {
+        const lastDay = new Date(y, m + 1, 0).getDate();
+        const key = toDateKey(new Date(y, m, Math.min(rec.dayOfMonth, lastDay), 12));
+        if (key > last) break;
+        if (key >= rec.startDate && key > (afterKey || '')) dates.push(key);
+      }
+    }
+    return dates;
+  }
+
+  /** Post every occurrence that has come due by `now` since the item was last
+   *  posted, including any missed while the app was closed. Each occurrence gets
+   *  a deterministic id and rec.lastPosted advances, so nothing posts twice.
+   *  Returns how many were posted. */
+  function postDueRecurring(d, now = new Date()) {
+    return postRecurringThrough(d, toDateKey(now));
+  }
+
+  /** Post occurrences up to untilKey ('YYYY-MM-DD', inclusive). Occurrences in
+   *  months older than the history kept are skipped, so an item started in the
+   *  past only backfills months that can still be edited. */
+  function postRecurringThrough(d, untilKey) {
+    let posted = 0;
+
+    d.recurring.forEach(rec => {
+      recurringDatesBetween(rec, rec.lastPosted, untilKey).forEach(date => {
+        const id = `${rec.id}-${date}`;
+        if (isMonthRetained(d, date.slice(0, 7)) && !findTransaction(d, id)) {
+          addTransactionToBucket(d, {
+            id,
+            date,
+            time: '',
+            amount: rec.amount,
+            description: rec.description,
+            category: rec.category || '',
+            recurringId: rec.id
+          });
+          posted++;
+        }
+        rec.lastPosted = date;
+      });
+    });
+    return posted;
+  }
+
+  /** Change a recurring item's fields. The last posting covers its month (or
+   *  its week or two weeks), so when a new day or start date moves the next
+   *  occurrence into that same stretch it counts as posted rather than posting
+   *  twice. */
+  function updateRecurring(rec, fields) {
+    const last = rec.lastPosted;
+    let coveredUntil = null;
+    if (last && rec.schedule === 'monthly') {
+      const date = parseDateKey(last);
+      coveredUntil = toDateKey(new Date(date.getFullYear(), date.getMonth() + 1, 0, 12));
+    } else if (last) {
+      coveredUntil = toDateKey(addDays(parseDateKey(last), rec.schedule === 'weekly' ? 6 : 13));
+    }
+
+    Object.assign(rec, fields);
+    if (coveredUntil) {
+      const covered = recurringDatesBetween(rec, last, coveredUntil);
+      if (covered.length > 0) rec.lastPosted = covered[covered.length - 1];
+    }
+  }
+
+  // ─── Dates ────────────────────────────────────────────────
+  /** Local calendar date as 'YYYY-MM-DD'. */
+  function toDateKey(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  /** 'YYYY-MM-DD' → local Date at noon (safe across DST changes). */
+  function parseDateKey(key) {
+    const [y, m, d] = key.split('-').map(n => parseInt(n, 10));
+    return new Date(y, m - 1, d, 12);
+  }
+
+  function monthKeyYear(monthKey) {
+    return parseInt(monthKey.slice(0, 4), 10);
+  }
+
+  function nextMonthKey(monthKey) {
+    const year = monthKeyYear(monthKey);
+    const month = parseInt(monthKey.slice(5, 7), 10);
+    return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+  }
+
+  function addDays(d, n) {
+    const out = new Date(d);
+    out.setDate(out.getDate() + n);
+    return out;
+  }
+
+  return {
+    // Data model
+    DATA_VERSION, UNCATEGORIZED_LABEL, DEFAULT_CATEGORIES, PERIOD_MODES, RECURRING_SCHEDULES,
+    currentMonthKey, emptyData, defaultPeriodAnchor, defaultCategories, newCategory, generateId,
+    // Schema
+    DATE_KEY_RE, MONTH_KEY_RE, migrateData, normalizeData, transactionListsOf, isValidDateKey, toNumber,
+    validateData, isCurrencyCode, parseAlertThresholds, exportObject, sameTransaction,
+    // Transactions
+    isTransfer, isContribution, isBudgetTransaction, budgetTransactions, calcSaved, txParts, accountChange,
+    findCategory, getCategoryName, forEachTransaction, findTransaction,
+    addTransactionToBucket, removeTransactionFromBucket,
+    // Calculations
+    budgetYearOf, budgetMonthIndex, calcMonthsRemainingInYear, priorMonthKeysThisYear,
+    calcPriorMonthsNetThisYear, calcCarryOver, calcAnnualBudget, calcDynamicMonthlyGoal,
+    calcRemainingAnnual, calcMonthlyRemaining, calcMonthSpent, calcMonthIncome, calcMonthSaved,
+    isWithinGoal, calcMonthTotals, calcCategoryBreakdown, calcCategoryNet, calcMonthSummaries,
+    // Budget periods
+    periodContaining, nextPeriod, currentPeriod, periodsInBudgetYear, calcNetBetween, calcPeriodNet,
+    calcPeriodGoal, periodTransactions,
+    // Monthly reset
+    checkMonthlyReset, archiveMonth, closeYear, pruneOldHistory, isMonthRetained, compactToArchive,
+    // Recurring
+    recurringDatesBetween, postDueRecurring, updateRecurring,
+    // Dates
+    toDateKey, parseDateKey, monthKeyYear, nextMonthKey, addDays
+  };
+});
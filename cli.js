@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+/* =========================================================
+   SimpleBudget - Command-Line Tool
+   Works on a SimpleBudget-*.json export with the same budget
+   engine as the app (budget.js)
+   ========================================================= */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Budget = require('./budget.js');
+
+const USAGE = `Usage: node cli.js <command> <file.json> [arguments] [options]
+
+Commands:
+  add <file> <amount> [description]   Record an expense (or income with --income)
+      --date YYYY-MM-DD                 Date of the transaction (default: today)
+      --category NAME                   Category, by name
+      --income                          Record income instead of an expense
+  month <file> [YYYY-MM]              Goal, spending, income, savings and categories for a month
+                                      (without a month, the current week or pay period in those modes)
+  year <file> [YYYY]                  Month-by-month totals for a budget year
+  rollover <file>                     Archive finished months and post recurring items that are
+                                      due, as opening the app would
+  validate <file>                     List every problem in the file
+      --fix                             Write the repaired file back
+
+Options:
+  --today YYYY-MM-DD   Run as if today were this date
+  --out FILE           Write changes to FILE instead of back to the input file`;
+
+const FLAGS = new Set(['income', 'fix', 'help']);
+
+// ─── Arguments ────────────────────────────────────────────
+/** { positional[], options{} } – options take the next word unless listed in FLAGS. */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      const name = arg.slice(2);
+      if (FLAGS.has(name)) options[name] = true;
+      else if (i + 1 < argv.length) options[name] = argv[++i];
+      else throw new UsageError(`--${name} needs a value`);
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, options };
+}
+
+class UsageError extends Error {}
+
+/** The injectable clock: --today pins every date calculation to that day. */
+function clockFrom(options) {
+  if (options.today === undefined) return new Date();
+  if (!Budget.isValidDateKey(options.today)) throw new UsageError(`--today "${options.today}" is not a YYYY-MM-DD date`);
+  return Budget.parseDateKey(options.today);
+}
+
+// ─── File ─────────────────────────────────────────────────
+/** Read, migrate and validate an export, filling in any missing dates from the
+ *  clock. Receipt photos in a "-with-photos" file are set aside and written back
+ *  untouched. */
+function loadFile(file, now) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Can't read ${file}: ${e.message}`);
+  }
+  const attachments = raw && raw.attachments;
+  if (attachments) delete raw.attachments;
+  const result = Budget.normalizeData(raw, true, now);
+  return Object.assign(result, { attachments });
+}
+
+function saveFile(file, loaded, now) {
+  const out = Budget.exportObject(loaded.data, now);
+  if (loaded.attachments) out.attachments = loaded.attachments;
+  fs.writeFileSync(file, JSON.stringify(out, null, 2) + '\n');
+}
+
+/** Mention problems found while loading; commands that save write the repaired data. */
+function warnIssues(loaded) {
+  if (loaded.issues.length === 0) return;
+  const n = loaded.issues.length;
+  console.error(`Note: ${n} problem${n !== 1 ? 's' : ''} found in the file – run "validate" to see ${n !== 1 ? 'them' : 'it'}`);
+}
+
+// ─── Formatting ───────────────────────────────────────────
+function fmtMoney(d, n) {
+  const s = d.settings;
+  const amount = Math.abs(n).toLocaleString(s.locale, {
+    minimumFractionDigits: s.currencyDecimals,
+    maximumFractionDigits: s.currencyDecimals
+  });
+  const withSymbol = s.currencyPosition === 'after' ? `${amount} ${s.currencySymbol}` : `${s.currencySymbol}${amount}`;
+  return n < 0 ? `-${withSymbol}` : withSymbol;
+}
+
+function fmtMonthLabel(d, monthKey) {
+  const [year, month] = monthKey.split('-').map(n => parseInt(n, 10));
+  return new Date(year, month - 1, 1).toLocaleDateString(d.settings.locale, { month: 'long', year: 'numeric' });
+}
+
+function fmtPeriodLabel(d, period) {
+  const fmt = (key) => Budget.parseDateKey(key).toLocaleDateString(d.settings.locale, { month: 'short', day: 'numeric' });
+  return `${fmt(period.start)} – ${fmt(period.end)}, ${period.end.slice(0, 4)}`;
+}
+
+function fmtBudgetYear(d, year) {
+  if (d.settings.yearStartMonth === 1) return String(year);
+  return `${year}–${String(year + 1).slice(2)}`;
+}
+
+/** Rows of [label, value] with the values lined up on the right. */
+function printTable(rows, indent = '  ') {
+  const labelWidth = Math.max(...rows.map(r => r[0].length));
+  const valueWidths = rows[0].slice(1).map((_, i) => Math.max(...rows.map(r => String(r[i + 1] ?? '').length)));
+  rows.forEach(row => {
+    const values = row.slice(1).map((v, i) => String(v ?? '').padStart(valueWidths[i])).join('  ');
+    console.log(`${indent}${row[0].padEnd(labelWidth)}  ${values}`);
+  });
+}
+
+// ─── Commands ─────────────────────────────────────────────
+function cmdAdd(file, args, options, now) {
+  const [amountArg, ...descriptionWords] = args;
+  const raw = parseFloat(amountArg);
+  if (!amountArg || isNaN(raw) || raw <= 0) throw new UsageError('add needs a positive amount');
+
+  const loaded = loadFile(file, now);
+  const d = loaded.data;
+  warnIssues(loaded);
+
+  const date = options.date || Budget.toDateKey(now);
+  if (!Budget.isValidDateKey(date)) throw new UsageError(`--date "${date}" is not a YYYY-MM-DD date`);
+  if (!Budget.isMonthRetained(d, date.slice(0, 7))) throw new Error(`${date} is older than the history this file keeps`);
+
+  let category = '';
+  if (options.category) {
+    const match = d.settings.categories.find(c => c.name.toLowerCase() === options.category.toLowerCase());
+    if (!match) {
+      throw new Error(`No category "${options.category}" – choose from: ${d.settings.categories.map(c => c.name).join(', ')}`);
+    }
+    category = match.id;
+  }
+
+  const amount = parseFloat(raw.toFixed(2));
+  const tx = {
+    id: Budget.generateId(),
+    date,
+    time: '',
+    amount: options.income ? amount : -amount,
+    description: descriptionWords.join(' ').trim() || (options.income ? 'Income' : 'Expense'),
+    category
+  };
+  Budget.addTransactionToBucket(d, tx);
+  saveFile(options.out || file, loaded, now);
+
+  console.log(`Added ${options.income ? '+' : '-'}${fmtMoney(d, amount)} "${tx.description}" on ${date} (${Budget.getCategoryName(d, category)})`);
+  if (date.slice(0, 7) === d.currentMonth) {
+    console.log(`${fmtMoney(d, Budget.calcMonthlyRemaining(d))} left in ${fmtMonthLabel(d, d.currentMonth)}`);
+  }
+}
+
+function cmdMonth(file, args, options, now) {
+  const loaded = loadFile(file, now);
+  const d = loaded.data;
+  warnIssues(loaded);
+
+  if (!args[0] && d.settings.periodMode !== 'monthly') {
+    printPeriod(d, Budget.currentPeriod(d, now));
+    return;
+  }
+
+  const key = args[0] || d.currentMonth;
+  if (!Budget.MONTH_KEY_RE.test(key)) throw new UsageError(`"${key}" is not a YYYY-MM month`);
+
+  let goal, transactions;
+  if (key === d.currentMonth) {
+    goal = Budget.calcDynamicMonthlyGoal(d);
+    transactions = d.transactions;
+  } else if (d.history[key]) {
+    goal = d.history[key].goal || 0;
+    transactions = d.history[key].transactions || [];
+  } else if (d.archive[key]) {
+    goal = d.archive[key].goal || 0;
+    transactions = d.archive[key].transactions || null;
+  } else {
+    throw new Error(`No data for ${key} in this file`);
+  }
+
+  const summary = Budget.calcMonthSummaries(d)[key];
+  const remaining = goal - summary.net - summary.saved;
+  console.log(`${fmtMonthLabel(d, key)}${key === d.currentMonth ? ' (current month)' : d.archive[key] ? ' (archive)' : ''}`);
+  printTable([
+    ['Goal', fmtMoney(d, goal)],
+    ['Spent', fmtMoney(d, summary.spent)],
+    ['Income', fmtMoney(d, summary.income)],
+    ['Saved', fmtMoney(d, summary.saved)],
+    [remaining < 0 ? 'Over' : 'Remaining', fmtMoney(d, Math.abs(remaining))]
+  ]);
+
+  if (!transactions) {
+    console.log(`  ${d.archive[key].count} transactions (totals only)`);
+    return;
+  }
+  const breakdown = Budget.calcCategoryBreakdown(d, transactions);
+  if (breakdown.length > 0) {
+    console.log('\nBy category');
+    printTable(breakdown.map(c => [c.name, fmtMoney(d, c.spent), `${Math.round(c.pct)}%`]));
+  }
+  console.log(`\n${transactions.length} transaction${transactions.length !== 1 ? 's' : ''}`);
+}
+
+/** The "month" report for one week or pay period, figured as the app's main screen does. */
+function printPeriod(d, period) {
+  const transactions = Budget.periodTransactions(d, period).map(entry => entry.tx);
+  const totals = Budget.calcMonthTotals(transactions);
+  const goal = Budget.calcPeriodGoal(d, period);
+  const remaining = goal - Budget.calcPeriodNet(d, period);
+  console.log(`${fmtPeriodLabel(d, period)} (current period, ${Budget.PERIOD_MODES[d.settings.periodMode].toLowerCase()})`);
+  printTable([
+    ['Goal', fmtMoney(d, goal)],
+    ['Spent', fmtMoney(d, totals.spent)],
+    ['Income', fmtMoney(d, totals.income)],
+    ['Saved', fmtMoney(d, Budget.calcSaved(transactions))],
+    [remaining < 0 ? 'Over' : 'Remaining', fmtMoney(d, Math.abs(remaining))]
+  ]);
+
+  const breakdown = Budget.calcCategoryBreakdown(d, transactions);
+  if (breakdown.length > 0) {
+    console.log('\nBy category');
+    printTable(breakdown.map(c => [c.name, fmtMoney(d, c.spent), `${Math.round(c.pct)}%`]));
+  }
+  console.log(`\n${transactions.length} transaction${transactions.length !== 1 ? 's' : ''}`);
+}
+
+function cmdYear(file, args, options, now) {
+  const loaded = loadFile(file, now);
+  const d = loaded.data;
+  warnIssues(loaded);
+
+  const year = args[0] ? parseInt(args[0], 10) : Budget.budgetYearOf(d, d.currentMonth);
+  if (!/^\d{4}$/.test(String(year))) throw new UsageError(`"${args[0]}" is not a year`);
+
+  const summaries = Budget.calcMonthSummaries(d);
+  const keys = Object.keys(summaries).filter(key => Budget.budgetYearOf(d, key) === year).sort();
+  if (keys.length === 0) throw new Error(`No data for ${fmtBudgetYear(d, year)} in this file`);
+
+  const closed = d.yearEnds[year];
+  const annual = closed ? closed.annualBudget : Budget.calcAnnualBudget(d, year);
+  const total = { spent: 0, income: 0, net: 0, saved: 0 };
+  const rows = [['', 'Goal', 'Spent', 'Income', 'Saved', 'Net']];
+  keys.forEach(key => {
+    const m = summaries[key];
+    ['spent', 'income', 'net', 'saved'].forEach(f => { total[f] += m[f]; });
+    rows.push([
+      fmtMonthLabel(d, key) + (m.current ? ' *' : ''),
+      fmtMoney(d, m.goal), fmtMoney(d, m.spent), fmtMoney(d, m.income), fmtMoney(d, m.saved), fmtMoney(d, m.net)
+    ]);
+  });
+  rows.push(['Total', '', fmtMoney(d, total.spent), fmtMoney(d, total.income), fmtMoney(d, total.saved), fmtMoney(d, total.net)]);
+
+  console.log(`Budget year ${fmtBudgetYear(d, year)}${closed ? ' (closed)' : ''}`);
+  printTable(rows);
+  const remaining = annual - total.net - total.saved;
+  console.log('');
+  printTable([
+    ['Annual budget', fmtMoney(d, annual)],
+    [remaining < 0 ? 'Over' : 'Remaining', fmtMoney(d, Math.abs(remaining))]
+  ]);
+  if (keys.some(key => summaries[key].current)) console.log('\n* current month, still in progress');
+}
+
+function cmdRollover(file, args, options, now) {
+  const loaded = loadFile(file, now);
+  const d = loaded.data;
+  warnIssues(loaded);
+
+  const from = d.currentMonth;
+  const reset = Budget.checkMonthlyReset(d, now);
+  const posted = (reset ? reset.posted : 0) + Budget.postDueRecurring(d, now);
+  if (!reset && posted === 0) {
+    console.log(`Already up to date – ${fmtMonthLabel(d, d.currentMonth)}`);
+    return;
+  }
+  saveFile(options.out || file, loaded, now);
+
+  if (reset) {
+    console.log(`Archived ${reset.archived} month${reset.archived !== 1 ? 's' : ''} from ${fmtMonthLabel(d, from)}; now in ${fmtMonthLabel(d, d.currentMonth)}`);
+    if (reset.closedYear !== null) console.log(`Closed budget year ${fmtBudgetYear(d, reset.closedYear)}`);
+    console.log(`Goal this month: ${fmtMoney(d, Budget.calcDynamicMonthlyGoal(d))}`);
+  }
+  if (posted > 0) console.log(`Posted ${posted} recurring transaction${posted !== 1 ? 's' : ''}`);
+}
+
+function cmdValidate(file, args, options, now) {
+  const loaded = loadFile(file, now);
+  if (loaded.migratedFrom !== Budget.DATA_VERSION) {
+    console.log(`Written by an older version (data v${loaded.migratedFrom}) – upgraded to v${Budget.DATA_VERSION}`);
+  }
+  if (loaded.issues.length === 0) {
+    console.log(`${path.basename(file)} is valid`);
+  } else {
+    loaded.issues.forEach(issue => console.log(`${issue.where}: ${issue.problem} (${issue.action})`));
+    const n = loaded.issues.length;
+    console.log(`\n${n} problem${n !== 1 ? 's' : ''} found`);
+  }
+
+  if (options.fix && (loaded.issues.length > 0 || loaded.migratedFrom !== Budget.DATA_VERSION)) {
+    saveFile(options.out || file, loaded, now);
+    console.log(`Repaired file written to ${options.out || file}`);
+  } else if (loaded.issues.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+const COMMANDS = { add: cmdAdd, month: cmdMonth, year: cmdYear, rollover: cmdRollover, validate: cmdValidate };
+
+// ─── Main ─────────────────────────────────────────────────
+function main(argv) {
+  const { positional, options } = parseArgs(argv);
+  const [command, file, ...args] = positional;
+  if (options.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"`);
+  if (!file) throw new UsageError(`${command} needs a SimpleBudget JSON file`);
+  COMMANDS[command](file, args, options, clockFrom(options));
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    if (e instanceof UsageError) console.error(`\n${USAGE}`);
+    process.exitCode = e instanceof UsageError ? 2 : 1;
+  }
+}
+
+module.exports = { main };
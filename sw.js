@@ -1,29 +1,44 @@
 /* =========================================================
    SimpleBudget - Service Worker
-   Provides offline support via cache-first strategy
+   Provides offline support: files come from a cache named after the
+   release and are refreshed in the background (stale-while-revalidate)
    ========================================================= */
 
-const CACHE_NAME = 'simplebudget-v1';
+// Bump on every release (with .app-version in index.html). A changed sw.js
+// installs alongside the running one and waits until the app says to take over.
+const VERSION = '1.1';
+const CACHE_NAME = `simplebudget-v${VERSION}`;
+const LEGACY_CACHE = 'simplebudget-v1';   // cache-first release with no update prompt
 const ASSETS = [
   './',
   './index.html',
   './styles.css',
+  './budget.js',
   './app.js',
   './manifest.json',
   './icon-180.png',
   './icon-192.png',
   './icon-512.png'
 ];
+const PRECACHED = new Set(ASSETS.map(url => new URL(url, self.location.href).href));
 
-// Install: cache all core assets
+// Install: cache this release's assets straight from the network
 self.addEventListener('install', (event) => {
   event.waitUntil(
     caches.open(CACHE_NAME).then((cache) => {
-      return cache.addAll(ASSETS.filter(url => !url.includes('.png') || true));
-    }).then(() => self.skipWaiting())
+      return cache.addAll(ASSETS.map(url => new Request(url, { cache: 'reload' })));
+    }).then(() => caches.has(LEGACY_CACHE)).then((fromLegacy) => {
+      // Pages from the first release can't show the update banner, so take over at once
+      if (fromLegacy) return self.skipWaiting();
+    })
   );
 });
 
+// The app posts this when the user taps Update on the new-version banner
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
 // Activate: clean up old caches
 self.addEventListener('activate', (event) => {
   event.waitUntil(
@@ -37,30 +52,74 @@ self.addEventListener('activate', (event) => {
   );
 });
 
-// Fetch: cache-first for app assets, network-first otherwise
+/** Whether two responses have the same bytes. */
+async function sameBody(a, b) {
+  const [x, y] = await Promise.all([a.clone().arrayBuffer(), b.clone().arrayBuffer()]);
+  if (x.byteLength !== y.byteLength) return false;
+  const bytesA = new Uint8Array(x);
+  const bytesB = new Uint8Array(y);
+  return bytesA.every((byte, i) => byte === bytesB[i]);
+}
+
+/** Background check of one of this release's files. A changed copy is first
+ *  checked against sw.js: when a new release is out, it installs as its own
+ *  worker (and the app shows the update banner) rather than mixing its files
+ *  into this cache; otherwise the file was fixed within this release and the
+ *  fresh copy replaces the cached one. */
+async function revalidatePrecached(cache, url, cached) {
+  const response = await fetch(new Request(url, { cache: 'no-cache' }));
+  if (response.status !== 200 || await sameBody(cached, response)) return;
+  await self.registration.update();
+  if (self.registration.installing || self.registration.waiting) return;
+  await cache.put(url, response);
+}
+
+// Fetch: answer from the cache and refresh in the background; the network is
+// used for anything not cached yet. This release's files are refreshed only
+// within the release (see revalidatePrecached), so a page never mixes versions
 self.addEventListener('fetch', (event) => {
-  const url = new URL(event.request.url);
+  const request = event.request;
+  const url = new URL(request.url);
 
-  // Only handle same-origin requests
-  if (url.origin !== location.origin) return;
+  // Only handle same-origin GET requests
+  if (url.origin !== location.origin || request.method !== 'GET') return;
+  const precached = PRECACHED.has(url.href);
 
   event.respondWith(
-    caches.match(event.request).then((cached) => {
-      if (cached) return cached;
-
-      return fetch(event.request).then((response) => {
-        // Cache successful GET responses
-        if (event.request.method === 'GET' && response.status === 200) {
-          const clone = response.clone();
-          caches.open(CACHE_NAME).then(cache => cache.put(event.request, clone));
+    caches.open(CACHE_NAME).then((cache) => {
+      return cache.match(request).then((cached) => {
+        if (cached && precached) {
+          event.waitUntil(revalidatePrecached(cache, url.href, cached).catch(() => {}));
+          return cached;
         }
-        return response;
-      }).catch(() => {
-        // Fallback for navigation requests
-        if (event.request.mode === 'navigate') {
-          return caches.match('./index.html');
+
+        const network = fetch(request).then((response) => {
+          if (response.status === 200 && !precached) cache.put(request, response.clone());
+          return response;
+        });
+
+        if (cached) {
+          event.waitUntil(network.catch(() => {}));
+          return cached;
         }
+        return network.catch(() => {
+          // Fallback for navigation requests
+          if (request.mode === 'navigate') {
+            return cache.match('./index.html');
+          }
+        });
       });
     })
   );
 });
+
+// Notification click: focus the open app, or open it
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      if (clients.length > 0) return clients[0].focus();
+      return self.clients.openWindow('./');
+    })
+  );
+});